@@ -3,9 +3,18 @@
  * Modular audio editor with component-based architecture
  */
 
-import { PROJECT_CONFIG, PROJECT_DATA, getProjectById } from './config.js';
-import { HeaderComponent, SidebarComponent, TimelineComponent, VUMeterComponent, VincesNotesComponent, AssetPreviewComponent } from './components.js';
-import { assert, createConsoleOverride, findTrackById, findClipIndexById, formatMessage, parseCallStack } from './utils.js';
+import { PROJECT_CONFIG, PROJECT_DATA, calculateTimelineLength, createDefaultTrackEffects, createProjectInstance, getPlayableLoopRegion, getProjectById, getSectionType } from './config.js';
+import { HeaderComponent, SidebarComponent, TimelineComponent, VUMeterComponent, VincesNotesComponent, AssetPreviewComponent, AutosaveRestoreComponent, ToastComponent, SongPerformanceComponent } from './components.js';
+import { assert, beatsToSeconds, secondsToBeats, createConsoleOverride, findTrackById, findClipIndexById, findOverlappingClip, formatMessage, parseCallStack } from './utils.js';
+import { getProjectFileName, parseProjectFile, serializeProject } from './project-file.js';
+import { AutosaveStore } from './autosave.js';
+import { EditHistory } from './history.js';
+import { ANY_CLIP_TYPE, evaluatePlacement } from './placement-rules.js';
+import { TransportClock } from './transport.js';
+import { getAutomatedValue, isAutomated, normalizeAutomation } from './automation.js';
+import { AudioEngine } from './audio-engine.js';
+import { encodeWav, renderMixdown } from './mixdown.js';
+import { getMasterLevels } from './metering.js';
 
 // ===== BROWSER LOGGING SYSTEM =====
 // Keep the existing logging system intact for debugging
@@ -264,12 +273,18 @@ class AssemblyApp {
         this.currentProject = null;
         this.isPlaying = false;
         this.isLooping = false;
-        this.currentTime = 0;
-        this.playbackInterval = null;
-        this.recordSongOverlay = null;
+        this.songPerformance = null;
+        this.countInFrame = null;
+        this.hasUnsavedChanges = false;
+        this.isAutosaveFailing = false;
 
         // Initialize logging system first
         this.logger = new BrowserLogger();
+        this.autosave = new AutosaveStore(window.localStorage);
+        this.history = new EditHistory(PROJECT_CONFIG.history.maxEntries);
+        // Header, sidebar and timeline all show the position this clock reports
+        this.transport = new TransportClock((beat) => this.handleTransportTick(beat));
+        this.audioEngine = new AudioEngine();
 
         this.init();
     }
@@ -280,6 +295,7 @@ class AssemblyApp {
         this.initializeComponents();
         this.setupEventListeners();
         this.loadProject('main');
+        this.offerAutosaveRestore();
         console.log('Assembly Audio Editor initialized successfully');
     }
 
@@ -287,7 +303,7 @@ class AssemblyApp {
         assert(PROJECT_CONFIG, 'PROJECT_CONFIG is required');
         assert(PROJECT_DATA, 'PROJECT_DATA is required');
 
-        const requiredElements = ['header', 'sidebar', 'timeline', 'vu-meter', 'vinces-notes', 'asset-preview'];
+        const requiredElements = ['header', 'sidebar', 'timeline', 'vu-meter', 'vinces-notes', 'asset-preview', 'toasts'];
         requiredElements.forEach(id => {
             const element = document.getElementById(id);
             assert(element, `Required element with id '${id}' not found`);
@@ -325,6 +341,11 @@ class AssemblyApp {
         assert(assetPreviewElement, 'Asset Preview element not found');
         this.assetPreviewComponent = new AssetPreviewComponent(assetPreviewElement);
 
+        // Initialize toast notifications
+        const toastsElement = document.getElementById('toasts');
+        assert(toastsElement, 'Toasts element not found');
+        this.toastComponent = new ToastComponent(toastsElement);
+
         // Make app globally accessible for inline event handlers
         window.assemblyApp = this;
     }
@@ -332,16 +353,31 @@ class AssemblyApp {
     setupEventListeners() {
         // Centralized event handling with mapping
         const eventHandlers = {
-            'projectSelected': (e) => this.loadProject(e.detail.projectId),
+            'projectSelected': (e) => this.handleProjectSelected(e.detail.projectId),
             'transportAction': (e) => this.handleTransportAction(e.detail.action),
             'trackAction': (e) => this.handleTrackAction(e.detail.action, e.detail.trackId),
             'trackNameChanged': (e) => this.handleTrackNameChange(e.detail.trackId, e.detail.newName),
             'addTrack': () => this.handleAddTrack(),
+            'trackAdded': (e) => this.commitProjectChange(`Add track ${e.detail.track.name}`),
+            'trackRemoved': (e) => this.commitProjectChange(`Remove track ${e.detail.track.name}`),
             'clipResized': (e) => this.handleClipResized(e.detail),
             'sidebarClipDrop': (e) => this.handleSidebarClipDrop(e.detail.dragData, e.detail.trackId, e.detail.startTime),
             'timelineClipMove': (e) => this.handleTimelineClipMove(e.detail.dragData, e.detail.targetTrackId, e.detail.newStartTime),
             'recordingCompleted': (e) => this.handleRecordingCompleted(e.detail.originalClipId, e.detail.newClip),
             'menuItemClick': (e) => this.handleMenuItemClick(e.detail.itemId),
+            'projectFileSelected': (e) => this.handleProjectFileSelected(e.detail.file),
+            'historyEntrySelected': (e) => this.jumpToHistoryEntry(e.detail.index),
+            'mixdownExportRequested': (e) => this.exportMixdown(e.detail.bitDepth),
+            'snapGridChanged': (e) => this.timelineComponent.setSnapGrid(e.detail.gridId),
+            'extendTimeline': () => this.handleExtendTimeline(),
+            'loopRegionChanged': (e) => this.handleLoopRegionChanged(e.detail.start, e.detail.end),
+            'seekToBeat': (e) => this.seekToBeat(e.detail.beat, e.detail.isScrubbing),
+            'effectChanged': (e) => this.handleEffectChanged(e.detail.trackId, e.detail.effectType, e.detail.value),
+            'automationChanged': (e) => this.handleAutomationChanged(e.detail.trackId, e.detail.effectType, e.detail.points),
+            'markerAdded': (e) => this.handleMarkerAdded(e.detail.beat),
+            'markerMoved': (e) => this.handleMarkerMoved(e.detail.markerId, e.detail.beat),
+            'markerTypeChanged': (e) => this.handleMarkerTypeChanged(e.detail.markerId, e.detail.type),
+            'markerRemoved': (e) => this.handleMarkerRemoved(e.detail.markerId),
             'windowControlClick': (e) => this.handleWindowControlClick(e.detail.controlId)
         };
 
@@ -364,10 +400,25 @@ class AssemblyApp {
             'sidebarClipDrop': this.sidebarComponent,
             'recordingCompleted': this.sidebarComponent,
             'menuItemClick': this.headerComponent,
+            'projectFileSelected': this.headerComponent,
+            'historyEntrySelected': this.headerComponent,
+            'mixdownExportRequested': this.headerComponent,
+            'snapGridChanged': this.headerComponent,
+            'extendTimeline': this.timelineComponent,
+            'loopRegionChanged': this.timelineComponent,
+            'seekToBeat': this.timelineComponent,
+            'effectChanged': this.timelineComponent,
+            'automationChanged': this.timelineComponent,
+            'markerAdded': this.timelineComponent,
+            'markerMoved': this.timelineComponent,
+            'markerTypeChanged': this.timelineComponent,
+            'markerRemoved': this.timelineComponent,
             'windowControlClick': this.headerComponent,
             'trackAction': this.timelineComponent,
             'trackNameChanged': this.timelineComponent,
             'addTrack': this.timelineComponent,
+            'trackAdded': this.timelineComponent,
+            'trackRemoved': this.timelineComponent,
             'clipResized': this.timelineComponent,
             'timelineClipMove': this.timelineComponent
         };
@@ -375,109 +426,41 @@ class AssemblyApp {
     }
 
     // ===== TRACK VALIDATION LOGIC =====
+    // Returns the placement verdict from the project's rules: { allowed, reason }
     validateClipDrop(clipType, trackId) {
         assert(clipType, 'Clip type is required');
         assert(trackId, 'Track ID is required');
         assert(this.currentProject, 'Current project is required');
 
-        const track = findTrackById(this.currentProject.tracks, trackId);
-        if (!track) {
-            console.warn(`Track not found: ${trackId}`);
-            return false;
-        }
-
-        return this.canClipGoOnTrack(clipType, track.type, track.name, this.currentProject.id);
-    }
-
-    canClipGoOnTrack(clipType, trackType, trackName, projectId) {
-        assert(clipType, 'Clip type is required');
-        assert(trackType, 'Track type is required');
-        assert(trackName, 'Track name is required');
-        assert(projectId, 'Project ID is required');
-
-        // Main project: strict type matching only
-        if (projectId === 'main') {
-            return clipType === trackType;
-        }
-
-        // Sentence project: everything can go everywhere
-        if (projectId === 'sentence') {
-            return true;
-        }
-
-        // Ambient project: everything can go everywhere
-        if (projectId === 'ambient') {
-            return true;
-        }
-
-        // Band project: clips must match track types
-        if (projectId === 'band') {
-            return clipType === trackType;
+        if (this.timelineComponent.isInactiveSlot(trackId)) {
+            return { allowed: false, reason: PROJECT_CONFIG.content.dropRejections.inactiveSlot };
         }
 
-        // Song project: specific restrictions
-        if (projectId === 'song') {
-            // Viola clips only fit Viola tracks
-            if (clipType === 'viola') {
-                return this.isViolaTrack(trackName);
-            }
-
-            // Vince clips only fit Vince tracks  
-            if (clipType === 'vince') {
-                return this.isVinceTrack(trackName);
-            }
-
-            // Other clips can go anywhere
-            return true;
-        }
-
-        // Default: allow everything
-        return true;
-    }
-
-    isViolaTrack(trackName) {
-        // In the song project, Viola tracks are identified by their names
-        return trackName.toLowerCase().includes('viola');
-    }
+        const track = findTrackById(this.currentProject.tracks, trackId);
+        assert(track, `Track not found: ${trackId}`);
 
-    isVinceTrack(trackName) {
-        // In the song project, Vince tracks are identified by their names
-        return trackName.toLowerCase().includes('vince');
+        return evaluatePlacement(this.currentProject, clipType, track);
     }
 
     // ===== VISUAL FEEDBACK FOR DRAG OPERATIONS =====
     updateTrackVisualFeedback(dragData) {
         if (!dragData || !this.currentProject) return;
 
-        const clipType = dragData.clipType;
         // Look for track elements in the new timeline structure
         const allTracks = document.querySelectorAll('.track-header, .track-content');
 
         allTracks.forEach(trackElement => {
-            const trackId = trackElement.dataset.trackId;
-            const track = findTrackById(this.currentProject.tracks, trackId);
+            const placement = this.validateClipDrop(dragData.clipType, trackElement.dataset.trackId);
+            const prefix = trackElement.classList.contains('track-header') ? 'track-header' : 'track-content';
 
-            if (!track) return;
+            trackElement.classList.remove(`${prefix}--valid-drop`, `${prefix}--invalid-drop`);
+            trackElement.classList.add(placement.allowed ? `${prefix}--valid-drop` : `${prefix}--invalid-drop`);
 
-            const isValid = this.canClipGoOnTrack(clipType, track.type, track.name, this.currentProject.id);
-
-            // Remove existing feedback classes based on element type
-            if (trackElement.classList.contains('track-header')) {
-                trackElement.classList.remove('track-header--valid-drop', 'track-header--invalid-drop');
-                // Add appropriate feedback class
-                if (isValid) {
-                    trackElement.classList.add('track-header--valid-drop');
-                } else {
-                    trackElement.classList.add('track-header--invalid-drop');
-                }
-            } else if (trackElement.classList.contains('track-content')) {
-                trackElement.classList.remove('track-content--valid-drop', 'track-content--invalid-drop');
-                // Add appropriate feedback class
-                if (isValid) {
-                    trackElement.classList.add('track-content--valid-drop');
-                } else {
-                    trackElement.classList.add('track-content--invalid-drop');
-                }
+            // Read back by the dragover handler to explain the red highlight
+            if (placement.allowed) {
+                delete trackElement.dataset.dropRejection;
+            } else {
+                trackElement.dataset.dropRejection = placement.reason;
             }
         });
     }
@@ -491,10 +474,24 @@ class AssemblyApp {
             } else if (trackElement.classList.contains('track-content')) {
                 trackElement.classList.remove('track-content--valid-drop', 'track-content--invalid-drop');
             }
+            delete trackElement.dataset.dropRejection;
         });
+
+        if (this.timelineComponent) {
+            this.timelineComponent.hideDropRejectionTooltip();
+        }
     }
 
-    loadProject(projectId) {
+    // Refused drops are always explained on screen, never only in the console
+    rejectDrop(reason) {
+        assert(reason, 'A rejected drop needs a reason');
+        console.warn(`Drop rejected: ${reason}`);
+        this.toastComponent.show(reason, 'error');
+    }
+
+    // savedProject is an arrangement parsed from an .ass file; without it the
+    // project starts from its PROJECT_DATA definition
+    loadProject(projectId, savedProject = null) {
         console.log(`Loading project: ${projectId}`);
 
         // Clear current state
@@ -510,7 +507,17 @@ class AssemblyApp {
 
 
         // Set current project
-        this.currentProject = { ...project };
+        if (savedProject) {
+            assert(savedProject.id === projectId, `Saved project id ${savedProject.id} does not match ${projectId}`);
+            this.currentProject = savedProject;
+        } else {
+            this.currentProject = createProjectInstance(projectId);
+        }
+        this.transport.setTempo(this.currentProject.bpm);
+
+        this.hasUnsavedChanges = false;
+        this.history.reset(savedProject ? `Open ${getProjectFileName(savedProject)}` : `Open ${project.name}`, this.currentProject);
+        this.updateHistoryUI();
 
         // Update file info
         this.updateFileInfo(project);
@@ -526,6 +533,136 @@ class AssemblyApp {
         console.log(`Project '${project.name}' loaded successfully`);
     }
 
+    handleProjectSelected(projectId) {
+        assert(projectId, 'Project ID is required');
+        if (!this.confirmDiscardChanges()) {
+            console.log(`Project switch to ${projectId} cancelled - unsaved changes kept`);
+            return;
+        }
+        this.loadProject(projectId);
+    }
+
+    confirmDiscardChanges() {
+        if (!this.hasUnsavedChanges) return true;
+
+        const message = PROJECT_CONFIG.content.dialogs.unsavedChanges.replace('{projectName}', this.currentProject.name);
+        return window.confirm(message);
+    }
+
+    // Every edit to the working project funnels through here once it is applied
+    commitProjectChange(description) {
+        assert(description, 'Change description is required');
+        assert(this.currentProject, 'Current project is required');
+
+        this.hasUnsavedChanges = true;
+        this.autosaveProject(description);
+        this.history.record(description, this.currentProject);
+        this.updateHistoryUI();
+        this.syncAudio();
+        console.log(`Project changed: ${description}`);
+    }
+
+    // Runs on every edit, so a failing autosave is reported once, not on each edit
+    autosaveProject(description) {
+        const saved = this.autosave.saveSnapshot(this.currentProject, description);
+        if (!saved && !this.isAutosaveFailing) {
+            this.toastComponent.show(PROJECT_CONFIG.content.autosaveFailed, 'error');
+        }
+        this.isAutosaveFailing = !saved;
+    }
+
+    // ===== UNDO / REDO =====
+    undo() {
+        if (!this.history.canUndo()) {
+            console.log('Nothing to undo');
+            return;
+        }
+        const description = this.history.getUndoDescription();
+        this.applyHistoryState(this.history.undo(), `Undo ${description}`);
+    }
+
+    redo() {
+        if (!this.history.canRedo()) {
+            console.log('Nothing to redo');
+            return;
+        }
+        const description = this.history.getRedoDescription();
+        this.applyHistoryState(this.history.redo(), `Redo ${description}`);
+    }
+
+    jumpToHistoryEntry(index) {
+        const entry = this.history.getEntries()[index];
+        assert(entry, `History entry ${index} does not exist`);
+        if (entry.isCurrent) return;
+
+        this.applyHistoryState(this.history.jumpTo(index), `Go to ${entry.description}`);
+    }
+
+    applyHistoryState(project, description) {
+        assert(project.id === this.currentProject.id, 'History state belongs to a different project');
+
+        // Cancel any drag in progress - its data points at the replaced state
+        window.globalDragData = null;
+        this.cleanupDropPreviews();
+        this.clearTrackVisualFeedback();
+
+        this.currentProject = project;
+        this.hasUnsavedChanges = true;
+        this.autosaveProject(description);
+        this.updateHistoryUI();
+        this.syncAudio();
+        this.updateComponents();
+        if (this.sidebarComponent) {
+            this.sidebarComponent.refreshClipRepository();
+        }
+        console.log(description);
+    }
+
+    updateHistoryUI() {
+        if (!this.headerComponent) return;
+        this.headerComponent.setHistory(
+            this.history.getEntries(),
+            this.history.getUndoDescription(),
+            this.history.getRedoDescription()
+        );
+    }
+
+    // ===== AUTOSAVE RECOVERY =====
+    offerAutosaveRestore() {
+        const snapshots = this.autosave.getAllSnapshots();
+        if (snapshots.length === 0) return;
+
+        console.log(`Found ${snapshots.length} autosave snapshots`);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'autosave-restore-overlay';
+        const popupElement = document.createElement('div');
+        overlay.appendChild(popupElement);
+        document.body.appendChild(overlay);
+
+        new AutosaveRestoreComponent(
+            popupElement,
+            snapshots,
+            (projectId, index) => this.restoreAutosave(projectId, index),
+            () => {
+                this.autosave.clearAll();
+                console.log('All autosave snapshots discarded');
+            }
+        );
+    }
+
+    restoreAutosave(projectId, index) {
+        try {
+            const project = this.autosave.loadSnapshot(projectId, index);
+            this.loadProject(project.id, project);
+            // Restored work only lives in localStorage until it is saved to a file
+            this.hasUnsavedChanges = true;
+            console.log(`Restored autosave ${index} of ${projectId}`);
+        } catch (err) {
+            console.error(`Failed to restore autosave ${index} of ${projectId}:`, err.message);
+        }
+    }
+
     clearCurrentState() {
         // Stop playback if currently playing
         if (this.isPlaying) {
@@ -534,16 +671,10 @@ class AssemblyApp {
 
         // Clear playback state
         this.isPlaying = false;
-        this.currentTime = 0;
+        this.transport.pause();
+        this.transport.seek(0);
         this.isLooping = false;
 
-        // Clear any existing clips from tracks
-        if (this.currentProject) {
-            this.currentProject.tracks.forEach(track => {
-                track.clips = [];
-            });
-        }
-
         // Clear global drag data
         window.globalDragData = null;
 
@@ -564,7 +695,7 @@ class AssemblyApp {
             this.sidebarComponent.setCurrentTime(0);
         }
         if (this.vuMeterComponent) {
-            this.vuMeterComponent.stopAnimation();
+            this.vuMeterComponent.reset();
         }
     }
 
@@ -606,12 +737,65 @@ class AssemblyApp {
         assert(trackId, 'Track ID is required');
         console.log(`Track action: ${action} for track: ${trackId}`);
 
+        const track = findTrackById(this.currentProject.tracks, trackId);
+        assert(track, `Track ${trackId} not found`);
+
         switch (action) {
+            case 'mute':
+                track.muted = !track.muted;
+                this.commitProjectChange(`${track.muted ? 'Mute' : 'Unmute'} ${track.name}`);
+                break;
+            case 'solo':
+                track.soloed = !track.soloed;
+                this.commitProjectChange(`${track.soloed ? 'Solo' : 'Unsolo'} ${track.name}`);
+                break;
             default:
                 console.warn(`Unknown track action: ${action}`);
+                return;
+        }
+
+        this.timelineComponent.setProject(this.currentProject);
+        if (this.isPlaying) {
+            this.updateVUMeter(this.transport.getBeat());
         }
     }
 
+    handleEffectChanged(trackId, effectType, value) {
+        const track = findTrackById(this.currentProject.tracks, trackId);
+        assert(track, `Track ${trackId} not found`);
+        const effect = track.effects.find(e => e.type === effectType);
+        assert(effect, `Track ${trackId} has no ${effectType} effect`);
+        assert(value >= 0 && value <= 100, `Effect value out of range: ${value}`);
+
+        effect.value = value;
+        this.commitProjectChange(`Set ${track.name} ${effect.label} to ${value}`);
+    }
+
+    handleAutomationChanged(trackId, effectType, points) {
+        const track = findTrackById(this.currentProject.tracks, trackId);
+        assert(track, `Track ${trackId} not found`);
+        const effect = track.effects.find(e => e.type === effectType);
+        assert(effect, `Track ${trackId} has no ${effectType} effect`);
+
+        // An emptied lane hands the parameter back to its knob
+        effect.automation = normalizeAutomation(points);
+        this.commitProjectChange(effect.automation.length > 0
+            ? `Edit ${track.name} ${effect.label} automation`
+            : `Clear ${track.name} ${effect.label} automation`);
+
+        this.timelineComponent.setProject(this.currentProject);
+        this.applyAutomation(this.transport.getBeat());
+    }
+
+    // Moves automated knobs to their envelope value at the given beat
+    applyAutomation(beat) {
+        this.currentProject.tracks.forEach(track => {
+            track.effects.filter(isAutomated).forEach(effect => {
+                this.timelineComponent.setKnobValue(track.id, effect.type, getAutomatedValue(effect, beat));
+            });
+        });
+    }
+
     handleTrackNameChange(trackId, newName) {
         assert(trackId, 'Track ID is required');
         assert(newName, 'New track name is required');
@@ -620,6 +804,7 @@ class AssemblyApp {
         const track = this.currentProject.tracks.find(t => t.id === trackId);
         if (track) {
             track.name = newName;
+            this.commitProjectChange(`Rename track to ${newName}`);
         }
     }
 
@@ -636,15 +821,132 @@ class AssemblyApp {
             id: `track-${Date.now()}`,
             name: 'New Track',
             type: 'instrument',
-            clips: []
+            accepts: [ANY_CLIP_TYPE],
+            tags: [],
+            clips: [],
+            muted: false,
+            soloed: false,
+            effects: createDefaultTrackEffects('instrument')
         };
 
         this.currentProject.tracks.push(newTrack);
+        this.commitProjectChange(`Add track ${newTrack.name}`);
 
         // Re-render timeline
         this.timelineComponent.setProject(this.currentProject);
     }
 
+    handleExtendTimeline() {
+        this.currentProject.extraBars += 1;
+        this.commitProjectChange('Extend timeline by one bar');
+        this.updateComponents();
+    }
+
+    handleLoopRegionChanged(start, end) {
+        assert(start >= 0 && end > start, `Invalid loop region: ${start}-${end}`);
+        this.currentProject.loopRegion = { start, end };
+        this.commitProjectChange(`Set loop to beats ${start + 1}-${end}`);
+        this.timelineComponent.setProject(this.currentProject);
+    }
+
+    // ===== SECTION MARKERS =====
+
+    findMarker(markerId) {
+        const marker = this.currentProject.markers.find(m => m.id === markerId);
+        assert(marker, `Marker ${markerId} not found`);
+        return marker;
+    }
+
+    // Returns the refusal message when another marker already sits on the beat
+    getMarkerRejection(beat, excludeMarkerId = null) {
+        const existing = this.currentProject.markers.find(m => m.beat === beat && m.id !== excludeMarkerId);
+        if (!existing) return null;
+        return PROJECT_CONFIG.content.markerOccupied.replace('{sectionName}', getSectionType(existing.type).label);
+    }
+
+    createMarkerId() {
+        const used = new Set(this.currentProject.markers.map(marker => marker.id));
+        let n = 1;
+        while (used.has(`marker-${n}`)) n++;
+        return `marker-${n}`;
+    }
+
+    sortMarkers() {
+        this.currentProject.markers.sort((a, b) => a.beat - b.beat);
+    }
+
+    formatMarkerPosition(beat) {
+        const { beatsPerBar } = calculateTimelineLength(this.currentProject);
+        return `${Math.floor(beat / beatsPerBar) + 1}.${(beat % beatsPerBar) + 1}`;
+    }
+
+    // New markers continue the song form from the section before them
+    handleMarkerAdded(beat) {
+        const rejection = this.getMarkerRejection(beat);
+        if (rejection) {
+            this.toastComponent.show(rejection, 'error');
+            return;
+        }
+
+        const types = PROJECT_CONFIG.sections.types;
+        const previous = this.currentProject.markers.filter(marker => marker.beat < beat).pop();
+        const type = previous ? types[(types.findIndex(t => t.id === previous.type) + 1) % types.length] : types[0];
+
+        this.currentProject.markers.push({ id: this.createMarkerId(), type: type.id, beat });
+        this.sortMarkers();
+        this.commitProjectChange(`Add ${type.label} at ${this.formatMarkerPosition(beat)}`);
+        this.timelineComponent.setProject(this.currentProject);
+    }
+
+    handleMarkerMoved(markerId, beat) {
+        const marker = this.findMarker(markerId);
+        const rejection = this.getMarkerRejection(beat, markerId);
+        if (rejection) {
+            this.toastComponent.show(rejection, 'error');
+            this.timelineComponent.setProject(this.currentProject);
+            return;
+        }
+
+        marker.beat = beat;
+        this.sortMarkers();
+        this.commitProjectChange(`Move ${getSectionType(marker.type).label} to ${this.formatMarkerPosition(beat)}`);
+        this.timelineComponent.setProject(this.currentProject);
+    }
+
+    handleMarkerTypeChanged(markerId, type) {
+        const marker = this.findMarker(markerId);
+        const section = getSectionType(type);
+        assert(section, `Unknown section type: ${type}`);
+
+        const previousLabel = getSectionType(marker.type).label;
+        marker.type = type;
+        this.commitProjectChange(`Rename ${previousLabel} to ${section.label}`);
+        this.timelineComponent.setProject(this.currentProject);
+    }
+
+    handleMarkerRemoved(markerId) {
+        const marker = this.findMarker(markerId);
+        this.currentProject.markers = this.currentProject.markers.filter(m => m.id !== markerId);
+        this.commitProjectChange(`Remove ${getSectionType(marker.type).label} at ${this.formatMarkerPosition(marker.beat)}`);
+        this.timelineComponent.setProject(this.currentProject);
+    }
+
+    // A small tolerance lets "previous" skip back past the marker playback just crossed
+    jumpToMarker(direction) {
+        if (!this.currentProject || this.currentProject.markers.length === 0) return;
+
+        const tolerance = 0.25;
+        const beat = this.transport.getBeat();
+        const markers = this.currentProject.markers;
+        const target = direction > 0
+            ? markers.find(marker => marker.beat > beat)
+            : markers.filter(marker => marker.beat < beat - tolerance).pop();
+        if (!target) return;
+
+        this.seekToBeat(target.beat);
+        this.timelineComponent.scrollToPlayhead(target.beat);
+    }
+
     // ===== PLAYBACK CONTROL METHODS =====
 
     togglePlayback() {
@@ -659,11 +961,11 @@ class AssemblyApp {
         this.updateTransportUI();
         this.timelineComponent.setPlaying(true);
         this.sidebarComponent.setPlaying(true);
-        this.vuMeterComponent.startAnimation();
-        this.startTimeProgression();
+        this.transport.start();
+        this.syncAudio();
 
         // Ensure playhead is visible when starting playback
-        this.timelineComponent.scrollToPlayhead(this.currentTime);
+        this.timelineComponent.scrollToPlayhead(this.transport.getBeat());
     }
 
     pausePlayback() {
@@ -674,23 +976,24 @@ class AssemblyApp {
         this.updateTransportUI();
         this.timelineComponent.setPlaying(false);
         this.sidebarComponent.setPlaying(false);
-        this.vuMeterComponent.stopAnimation();
-        this.stopTimeProgression();
+        this.vuMeterComponent.reset();
+        this.transport.pause();
+        this.syncAudio();
     }
 
     stopPlayback() {
-        if (!this.isPlaying && this.currentTime === 0) return;
+        if (!this.isPlaying && this.transport.getBeat() === 0) return;
 
         console.log('Stopping playback');
         this.isPlaying = false;
-        this.currentTime = 0;
+        this.transport.pause();
+        this.transport.seek(0);
+        this.syncAudio();
         this.updateTransportUI();
         this.timelineComponent.setPlaying(false);
         this.sidebarComponent.setPlaying(false);
-        this.timelineComponent.setCurrentTime(0);
-        this.sidebarComponent.setCurrentTime(0);
-        this.vuMeterComponent.stopAnimation();
-        this.stopTimeProgression();
+        this.showTransportPosition(0);
+        this.vuMeterComponent.reset();
 
         // Ensure playhead is visible when stopping playback
         this.timelineComponent.scrollToPlayhead(0);
@@ -698,21 +1001,100 @@ class AssemblyApp {
 
     seek(direction) {
         const seekAmount = 1; // 1 beat
-        this.currentTime = Math.max(0, this.currentTime + (direction * seekAmount));
-        this.timelineComponent.setCurrentTime(this.currentTime);
-        this.sidebarComponent.setCurrentTime(this.currentTime);
+        const beat = Math.max(0, this.transport.getBeat() + (direction * seekAmount));
+        this.transport.seek(beat);
+        this.syncAudio();
+        this.showTransportPosition(beat);
 
         // Ensure playhead is visible when seeking
-        this.timelineComponent.scrollToPlayhead(this.currentTime);
+        this.timelineComponent.scrollToPlayhead(beat);
+    }
+
+    // Absolute seek from clicking or scrubbing the timeline; playback carries on from
+    // there. Audio stays silent while a scrub is under way and is rescheduled once
+    // it ends, rather than on every mouse move.
+    seekToBeat(beat, isScrubbing = false) {
+        assert(typeof beat === 'number' && beat >= 0, `Invalid seek position: ${beat}`);
+        this.transport.seek(beat);
+        if (isScrubbing) {
+            this.audioEngine.stop();
+        } else {
+            this.syncAudio();
+        }
+        this.showTransportPosition(beat);
+    }
+
+    // Called by the transport clock on every animation frame while playing
+    handleTransportTick(beat) {
+        // Playback runs to the end of the timeline, which grows with the arrangement
+        const playbackDuration = calculateTimelineLength(this.currentProject).beats;
+
+        const loopRegion = this.getActiveLoopRegion();
+        if (loopRegion) {
+            const { start, end } = loopRegion;
+            if (beat >= end) {
+                // Keep the overshoot so repeated loops stay in time; the audio
+                // engine has already queued the pass that starts here
+                beat = start + ((beat - end) % (end - start));
+                this.transport.seek(beat);
+            }
+            this.audioEngine.keepLoopQueued();
+        } else if (beat >= playbackDuration) {
+            if (this.songPerformance) {
+                this.songPerformance.showSummary();
+            }
+            this.stopPlayback();
+            return;
+        }
+
+        this.showTransportPosition(beat);
+        this.updateVUMeter(beat);
+    }
+
+    showTransportPosition(beat) {
+        this.timelineComponent.setCurrentTime(beat);
+        this.sidebarComponent.setCurrentTime(beat);
+        this.assetPreviewComponent.setCurrentTime(beat);
+        if (this.songPerformance) {
+            this.songPerformance.setCurrentTime(beat);
+        }
+        this.applyAutomation(beat);
+    }
+
+    // The region playback repeats, or null when it runs straight through: looping
+    // is off, a Record Song performance plays the whole song whatever the loop
+    // toggle says, or the loop region lies past the end of the timeline
+    getActiveLoopRegion() {
+        if (!this.isLooping || this.songPerformance) return null;
+        return getPlayableLoopRegion(this.currentProject);
     }
 
     toggleLoop() {
         this.isLooping = !this.isLooping;
         this.updateLoopUI();
+        this.syncAudio();
+    }
+
+    // Reschedules the audio from the transport position whenever playback jumps or
+    // the arrangement changes; while looping the engine repeats the loop region
+    syncAudio() {
+        if (!this.isPlaying) {
+            this.audioEngine.stop();
+            return;
+        }
+
+        const beat = this.transport.getBeat();
+        const loopRegion = this.getActiveLoopRegion();
+        if (loopRegion) {
+            this.audioEngine.playLoop(this.currentProject, beat, loopRegion);
+        } else {
+            this.audioEngine.play(this.currentProject, beat, calculateTimelineLength(this.currentProject).beats);
+        }
     }
 
     updateLoopUI() {
         this.sidebarComponent.setLoopState(this.isLooping);
+        this.timelineComponent.setLoopState(this.isLooping);
     }
 
     updateTransportUI() {
@@ -730,21 +1112,14 @@ class AssemblyApp {
         }
     }
 
-    updateVUMeter() {
-        // Simulate VU meter levels based on current time and clips
-        const level = Math.random() * 80 + 10; // Random level between 0.2 and 1.0
-        this.vuMeterComponent.setLevel(level);
+    updateVUMeter(beat) {
+        this.vuMeterComponent.setLevels(getMasterLevels(this.currentProject, beat));
     }
 
-
-
-
-
     destroy() {
-        // Clear intervals
-        if (this.playbackInterval) {
-            clearInterval(this.playbackInterval);
-        }
+        this.closeRecordSongOverlay();
+        this.transport.pause();
+        this.audioEngine.stop();
 
         console.log('Assembly Audio Editor destroyed');
     }
@@ -752,8 +1127,9 @@ class AssemblyApp {
     // ===== DROP HANDLERS =====
     handleSidebarClipDrop(dragData, trackId, startTime) {
         // Validate that the clip can be dropped on this track
-        if (!this.validateClipDrop(dragData.clipType, trackId)) {
-            console.warn(`Cannot drop ${dragData.clipType} clip on track ${trackId}`);
+        const placement = this.validateClipDrop(dragData.clipType, trackId);
+        if (!placement.allowed) {
+            this.rejectDrop(placement.reason);
             return;
         }
 
@@ -764,13 +1140,29 @@ class AssemblyApp {
         }
 
         const sidebarClip = this.currentProject.sidebarClips[sidebarClipIndex];
-        const newClip = { ...sidebarClip, startTime };
+        // Deep copy so nested data such as effects is never shared between placements
+        const newClip = {
+            ...structuredClone(sidebarClip),
+            id: this.createClipInstanceId(sidebarClip.id),
+            sourceClipId: sidebarClip.id,
+            startTime
+        };
         const track = findTrackById(this.currentProject.tracks, trackId);
 
         if (track) {
-            // One clip per track: replace existing clip
-            track.clips = [newClip];
-            console.log('Replaced clip on track:', { trackId, clipId: newClip.id, startTime });
+            const rejection = this.getQuotaRejection(sidebarClip, track)
+                ?? this.getOverlapRejection(track, startTime, newClip.duration, null);
+            if (rejection) {
+                this.rejectDrop(rejection);
+                return;
+            }
+
+            const replacedClip = this.insertClipIntoTrack(track, newClip);
+            this.applyClipEffectsToTrack(track, newClip);
+            console.log('Placed clip on track:', { trackId, clipId: newClip.id, startTime });
+            this.commitProjectChange(replacedClip
+                ? `Replace ${replacedClip.name} with ${newClip.name}`
+                : `Place ${newClip.name}`);
             this.updateComponents();
             // Refresh sidebar to show updated usage
             if (this.sidebarComponent) {
@@ -779,18 +1171,81 @@ class AssemblyApp {
         }
     }
 
+    // Placed clips get their own ids because one sidebar clip can be placed many times
+    createClipInstanceId(sourceClipId) {
+        const usedIds = new Set(this.currentProject.tracks.flatMap(track => track.clips.map(clip => clip.id)));
+        let instance = 1;
+        while (usedIds.has(`${sourceClipId}@${instance}`)) {
+            instance++;
+        }
+        return `${sourceClipId}@${instance}`;
+    }
+
+    // Counts placements of the sidebar clip, except the one a single-clip track
+    // is about to give up for it
+    getQuotaRejection(sidebarClip, track) {
+        const { maxClipUses } = this.currentProject;
+        if (maxClipUses === null) return null;
+
+        const placements = this.currentProject.tracks
+            .filter(other => !(this.currentProject.clipsPerTrack === 'single' && other === track))
+            .flatMap(other => other.clips)
+            .filter(clip => clip.sourceClipId === sidebarClip.id);
+        if (placements.length < maxClipUses) return null;
+        return PROJECT_CONFIG.content.dropRejections.quotaReached
+            .replace('{clipName}', sidebarClip.name)
+            .replace('{maxClipUses}', maxClipUses);
+    }
+
+    // Single-clip tracks swap their clip instead, so only multiple mode refuses overlaps
+    getOverlapRejection(track, startTime, duration, excludeClipId) {
+        if (this.currentProject.clipsPerTrack === 'single') return null;
+
+        const overlappingClip = findOverlappingClip(track.clips, startTime, duration, excludeClipId);
+        if (!overlappingClip) return null;
+        return PROJECT_CONFIG.content.dropRejections.occupied.replace('{trackName}', track.name);
+    }
+
+    // A clip arriving on a track sets the track's matching effect parameters,
+    // adding any effect the track doesn't have yet
+    applyClipEffectsToTrack(track, clip) {
+        assert(Array.isArray(clip.effects), `Clip ${clip.id} has no effects list`);
+        clip.effects.forEach(clipEffect => {
+            const trackEffect = track.effects.find(effect => effect.type === clipEffect.type);
+            if (trackEffect) {
+                trackEffect.value = clipEffect.value;
+            } else {
+                track.effects.push({ ...clipEffect, automation: [] });
+            }
+        });
+    }
+
+    // Returns the clip a single-clip track gave up, or null
+    insertClipIntoTrack(track, clip) {
+        if (this.currentProject.clipsPerTrack === 'single') {
+            const replacedClip = track.clips[0] ?? null;
+            track.clips = [clip];
+            return replacedClip;
+        }
+
+        track.clips.push(clip);
+        track.clips.sort((a, b) => a.startTime - b.startTime);
+        return null;
+    }
+
     handleTimelineClipMove(dragData, targetTrackId, newStartTime) {
         // Validate that the clip can be moved to this track
-        if (!this.validateClipDrop(dragData.clipType, targetTrackId)) {
-            console.warn(`Cannot move ${dragData.clipType} clip to track ${targetTrackId}`);
+        const placement = this.validateClipDrop(dragData.clipType, targetTrackId);
+        if (!placement.allowed) {
+            this.rejectDrop(placement.reason);
             return;
         }
 
-        const sourceTrack = findTrackById(this.currentProject.tracks, dragData.trackId);
+        const sourceTrack = findTrackById(this.currentProject.tracks, dragData.sourceTrackId);
         const targetTrack = findTrackById(this.currentProject.tracks, targetTrackId);
 
         if (!sourceTrack || !targetTrack) {
-            console.error(`Track not found: source=${dragData.trackId}, target=${targetTrackId}`);
+            console.error(`Track not found: source=${dragData.sourceTrackId}, target=${targetTrackId}`);
             return;
         }
 
@@ -800,18 +1255,29 @@ class AssemblyApp {
             return;
         }
 
+        const overlapRejection = this.getOverlapRejection(targetTrack, newStartTime, sourceTrack.clips[clipIndex].duration, dragData.clipId);
+        if (overlapRejection) {
+            this.rejectDrop(overlapRejection);
+            return;
+        }
+
         const clip = sourceTrack.clips.splice(clipIndex, 1)[0];
         clip.startTime = newStartTime;
-
-        // One clip per track: replace existing clip
-        targetTrack.clips = [clip];
+        const replacedClip = this.insertClipIntoTrack(targetTrack, clip);
+        // Moving within a track keeps any knob changes made since the drop
+        if (targetTrack !== sourceTrack) {
+            this.applyClipEffectsToTrack(targetTrack, clip);
+        }
 
         console.log('Moved clip:', {
-            fromTrack: dragData.trackId,
+            fromTrack: dragData.sourceTrackId,
             toTrack: targetTrackId,
             clipId: clip.id,
             newStartTime
         });
+        this.commitProjectChange(replacedClip
+            ? `Move ${clip.name} over ${replacedClip.name}`
+            : `Move ${clip.name}`);
 
         this.updateComponents();
         // Refresh sidebar to show updated usage
@@ -845,6 +1311,7 @@ class AssemblyApp {
             clipId: removedClip.id,
             clipName: removedClip.name
         });
+        this.commitProjectChange(`Remove ${removedClip.name}`);
 
         this.updateComponents();
         // Refresh sidebar to show updated usage
@@ -894,9 +1361,96 @@ class AssemblyApp {
         assert(itemId, 'Menu item ID is required');
         console.log(`Menu item clicked: ${itemId}`);
 
-        if (itemId === 'load') {
+        switch (itemId) {
+            case 'save':
+                this.saveProjectFile();
+                break;
+            case 'reset':
+                this.resetProject();
+                break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'redo':
+                this.redo();
+                break;
+            default:
+                console.warn(`Unknown menu item: ${itemId}`);
+        }
+    }
+
+    resetProject() {
+        assert(this.currentProject, 'No project loaded to reset');
+
+        const message = PROJECT_CONFIG.content.dialogs.resetProject.replace('{projectName}', this.currentProject.name);
+        if (!window.confirm(message)) {
+            console.log('Project reset cancelled');
             return;
         }
+
+        console.log(`Resetting project to template: ${this.currentProject.id}`);
+        this.loadProject(this.currentProject.id);
+    }
+
+    // ===== PROJECT FILES =====
+    saveProjectFile() {
+        assert(this.currentProject, 'No project loaded to save');
+
+        const contents = serializeProject(this.currentProject);
+        const fileName = getProjectFileName(this.currentProject);
+        this.downloadFile(new Blob([contents], { type: 'application/json' }), fileName);
+
+        this.hasUnsavedChanges = false;
+        this.autosave.clearProject(this.currentProject.id);
+        console.log(`Project saved as ${fileName}`);
+    }
+
+    async exportMixdown(bitDepth) {
+        assert(this.currentProject, 'No project loaded to export');
+
+        const { mixdown } = PROJECT_CONFIG.content;
+        const fileName = `${this.currentProject.id}${PROJECT_CONFIG.content.fileExtensions.mixdown}`;
+        this.toastComponent.show(mixdown.rendering);
+
+        try {
+            const rendered = await renderMixdown(this.currentProject);
+            this.downloadFile(new Blob([encodeWav(rendered, bitDepth)], { type: 'audio/wav' }), fileName);
+            console.log(`Mixdown exported as ${fileName} (${bitDepth}-bit)`);
+            this.toastComponent.show(mixdown.exported.replace('{fileName}', fileName));
+        } catch (err) {
+            console.error('Mixdown failed:', err.message);
+            this.toastComponent.show(mixdown.failed.replace('{reason}', err.message), 'error');
+        }
+    }
+
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async handleProjectFileSelected(file) {
+        assert(file, 'Project file is required');
+        console.log(`Opening project file: ${file.name}`);
+
+        try {
+            const project = parseProjectFile(await file.text());
+            if (!this.confirmDiscardChanges()) {
+                console.log(`Opening ${file.name} cancelled - unsaved changes kept`);
+                return;
+            }
+            this.loadProject(project.id, project);
+        } catch (err) {
+            console.error(`Failed to open project file ${file.name}:`, err.message);
+            this.toastComponent.show(PROJECT_CONFIG.content.projectFile.openFailed
+                .replace('{fileName}', file.name)
+                .replace('{reason}', err.message), 'error');
+        }
     }
 
     handleWindowControlClick(controlId) {
@@ -918,8 +1472,15 @@ class AssemblyApp {
                     const dropPosition = this.timelineComponent.calculateDropPosition(e, trackElement);
                     console.log(`Drop position calculated:`, dropPosition);
 
-                    if (dropPosition.isValid) {
-                        const trackId = trackElement.dataset.trackId;
+                    const trackId = trackElement.dataset.trackId;
+                    if (!dropPosition.isValid) {
+                        // A type mismatch explains more than the occupied spot behind it
+                        const placement = this.validateClipDrop(window.globalDragData.clipType, trackId);
+                        const reason = placement.allowed ? dropPosition.reason : placement.reason;
+                        if (reason) {
+                            this.rejectDrop(reason);
+                        }
+                    } else {
                         const startTime = dropPosition.startTime;
 
                         if (window.globalDragData.type === 'sidebar-clip') {
@@ -956,10 +1517,22 @@ class AssemblyApp {
                     e.dataTransfer.dropEffect = 'none';
                     this.timelineComponent.hideDropPreview(trackElement);
                 }
+
+                // dropEffect 'none' suppresses the drop event, so an occupied spot
+                // is only ever explained here
+                const rejection = trackElement.dataset.dropRejection || dropPosition.reason;
+                if (rejection) {
+                    this.timelineComponent.showDropRejectionTooltip(e.clientX, e.clientY, rejection);
+                } else {
+                    this.timelineComponent.hideDropRejectionTooltip();
+                }
             } else if (window.globalDragData && window.globalDragData.type === 'timeline-clip') {
                 // Allow dropping timeline clips anywhere (including sidebar) to remove them
                 e.preventDefault();
                 e.dataTransfer.dropEffect = 'move';
+                this.timelineComponent.hideDropRejectionTooltip();
+            } else if (window.globalDragData) {
+                this.timelineComponent.hideDropRejectionTooltip();
             }
         });
 
@@ -996,6 +1569,23 @@ class AssemblyApp {
                 return;
             }
 
+            // The Record Song performance only listens for Escape
+            if (this.songPerformance) {
+                return;
+            }
+
+            // Ctrl+Z: Undo, Ctrl+Shift+Z: Redo (Cmd on macOS)
+            if (e.code === 'KeyZ' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                console.log(`Global hotkey: ${e.shiftKey ? 'Ctrl+Shift+Z - Redo' : 'Ctrl+Z - Undo'}`);
+                return;
+            }
+
             // Space: Toggle play/pause
             if (e.code === 'Space') {
                 e.preventDefault();
@@ -1012,6 +1602,29 @@ class AssemblyApp {
                 return;
             }
 
+            // +/-: Zoom the timeline (= shares the + key on most layouts)
+            if ((e.key === '+' || e.key === '=') && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.timelineComponent.zoomIn();
+                console.log('Global hotkey: + - Zoom in');
+                return;
+            }
+
+            if (e.key === '-' && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.timelineComponent.zoomOut();
+                console.log('Global hotkey: - - Zoom out');
+                return;
+            }
+
+            // Shift+Left/Right: Jump to the previous/next section marker
+            if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && e.shiftKey) {
+                e.preventDefault();
+                this.jumpToMarker(e.code === 'ArrowRight' ? 1 : -1);
+                console.log(`Global hotkey: Shift+${e.code} - Jump to marker`);
+                return;
+            }
+
             // Left Arrow: Seek backward
             if (e.code === 'ArrowLeft') {
                 e.preventDefault();
@@ -1043,6 +1656,7 @@ class AssemblyApp {
             if (clip) {
                 clip.startTime = newStartTime;
                 clip.duration = newDuration;
+                this.commitProjectChange(`Resize ${clip.name}`);
             }
         }
     }
@@ -1051,79 +1665,66 @@ class AssemblyApp {
 
     handleRecordingCompleted(originalClipId, newClip) {
         console.log('Recording completed:', { originalClipId, newClip });
+        assert(this.currentProject, 'Current project is required');
 
-        // Update the current project with the new clip
-        if (this.currentProject) {
-            const clipIndex = findClipIndexById(this.currentProject.sidebarClips, originalClipId);
-            if (clipIndex !== -1) {
-                this.currentProject.sidebarClips[clipIndex] = newClip;
-                console.log('Updated project with recorded clip:', newClip);
-
-                // Update components to reflect the change
-                this.updateComponents();
-            }
-        }
-    }
-
-    stopTimeProgression() {
-        if (this.playbackInterval) {
-            clearInterval(this.playbackInterval);
-            this.playbackInterval = null;
-        }
-    }
-
-    startTimeProgression() {
-        this.playbackInterval = setInterval(() => {
-            this.currentTime += 0.1;
+        const clipIndex = findClipIndexById(this.currentProject.sidebarClips, originalClipId);
+        assert(clipIndex !== -1, `Recorded clip ${originalClipId} not found in the sidebar`);
+        this.currentProject.sidebarClips[clipIndex] = newClip;
+        console.log('Updated project with recorded clip:', newClip);
+        this.commitProjectChange(`Record ${newClip.name}`);
 
-            // Playback duration is 2 bars = 8 beats (in 4/4 time)
-            const playbackDuration = 8;
-            if (this.currentTime >= playbackDuration) {
-                if (this.isLooping) {
-                    this.currentTime = 0;
-                } else {
-                    this.stopPlayback();
-                    return;
-                }
-            }
-
-            this.timelineComponent.setCurrentTime(this.currentTime);
-            this.sidebarComponent.setCurrentTime(this.currentTime);
-            this.updateVUMeter();
-        }, 100);
+        // Update components to reflect the change
+        this.updateComponents();
     }
 
     showRecordSongOverlay() {
-        if (this.recordSongOverlay) return;
-
-        const lyrics = this.collectLyricsFromTimeline();
-        const lyricsText = lyrics.length > 0 ? lyrics.map(l => l.text).join(' • ') : 'Instrumental';
+        if (this.songPerformance) return;
 
         const overlay = document.createElement('div');
         overlay.className = 'record-song-overlay';
-        overlay.innerHTML = `
-            <button class="record-song-overlay__close" data-action="close-overlay">✕</button>
-            <div class="record-song-overlay__visualization">
-                🎵 Visualization Placeholder
-            </div>
-            <div class="record-song-overlay__lyrics">
-                <div class="record-song-overlay__lyrics-text">${lyricsText}</div>
-            </div>
-        `;
-
-        overlay.addEventListener('click', (e) => {
-            const closeBtn = e.target.closest('[data-action="close-overlay"]');
-            if (closeBtn) {
-                this.closeRecordSongOverlay();
-            }
-        });
+        document.body.appendChild(overlay);
+        this.songPerformance = new SongPerformanceComponent(overlay);
+        this.songPerformance.setProject(this.currentProject);
+        overlay.addEventListener('performanceClosed', () => this.closeRecordSongOverlay());
+        overlay.addEventListener('performanceRestarted', () => this.startPerformanceCountIn());
 
         document.addEventListener('keydown', this.handleOverlayEscape);
+        this.startPerformanceCountIn();
+        console.log('Record Song performance opened');
+    }
 
-        document.body.appendChild(overlay);
-        this.recordSongOverlay = overlay;
+    // One bar of clicks, then the whole arrangement from the top
+    startPerformanceCountIn() {
+        const { bpm } = this.currentProject;
+        const { beatsPerBar } = calculateTimelineLength(this.currentProject);
+
+        this.stopPlayback();
+        // The display and the song start follow the audio clock the clicks play on,
+        // so the number changes with each click and the song lands on the next downbeat
+        const firstClickAt = this.audioEngine.playCountIn(beatsPerBar, bpm);
+        const songStartAt = firstClickAt + beatsToSeconds(beatsPerBar, bpm);
+        let remainingBeats = beatsPerBar;
+        this.songPerformance.showCountIn(remainingBeats);
+
+        const followClicks = () => {
+            const now = this.audioEngine.context.currentTime;
+            if (now < songStartAt) {
+                const clicksPlayed = Math.max(0, Math.floor(secondsToBeats(now - firstClickAt, bpm)));
+                if (beatsPerBar - clicksPlayed !== remainingBeats) {
+                    remainingBeats = beatsPerBar - clicksPlayed;
+                    this.songPerformance.showCountIn(remainingBeats);
+                }
+                this.countInFrame = requestAnimationFrame(followClicks);
+                return;
+            }
 
-        console.log('Record Song overlay opened');
+            this.countInFrame = null;
+            this.songPerformance.startSong();
+            // A frame lands a little after the downbeat, so the song starts that far in
+            this.transport.seek(secondsToBeats(now - songStartAt, bpm));
+            this.startPlayback();
+        };
+        this.countInFrame = requestAnimationFrame(followClicks);
     }
 
     handleOverlayEscape = (e) => {
@@ -1132,36 +1733,24 @@ class AssemblyApp {
         }
     }
 
+    // Closing mid-song aborts the take: count-in, transport and audio all stop
     closeRecordSongOverlay() {
-        if (!this.recordSongOverlay) return;
+        if (!this.songPerformance) return;
 
         document.removeEventListener('keydown', this.handleOverlayEscape);
-
-        if (this.recordSongOverlay.parentNode) {
-            this.recordSongOverlay.parentNode.removeChild(this.recordSongOverlay);
+        if (this.countInFrame) {
+            cancelAnimationFrame(this.countInFrame);
+            this.countInFrame = null;
         }
-
-        this.recordSongOverlay = null;
-        console.log('Record Song overlay closed');
-    }
-
-    collectLyricsFromTimeline() {
-        if (!this.currentProject) return [];
-
-        const lyrics = [];
-        this.currentProject.tracks.forEach(track => {
-            track.clips.forEach(clip => {
-                if (clip.type === 'lyrics' && clip.text) {
-                    lyrics.push({
-                        text: clip.text,
-                        startTime: clip.startTime
-                    });
-                }
-            });
-        });
-
-        lyrics.sort((a, b) => a.startTime - b.startTime);
-        return lyrics;
+        this.stopPlayback();
+        // Count-in clicks are scheduled without the transport running
+        this.audioEngine.stop();
+
+        const overlay = this.songPerformance.element;
+        this.songPerformance.destroy();
+        overlay.remove();
+        this.songPerformance = null;
+        console.log('Record Song performance closed');
     }
 }
 
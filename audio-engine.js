@@ -0,0 +1,482 @@
+/**
+ * Assembly Audio Editor - Audio Engine
+ * Procedural placeholder sounds for clips, scheduled with Web Audio from the transport
+ */
+
+import { PROJECT_CONFIG, calculateTimelineLength } from './config.js';
+import { assert, beatsToSeconds, createSeededRandom, isTrackAudible, secondsToBeats } from './utils.js';
+import { getAutomatedValue } from './automation.js';
+
+// ===== VOICES =====
+// A voice turns a clip into notes: { beat, length } in beats from the clip start,
+// plus either a tone (oscillator) or noise (filtered noise buffer) description.
+// Every random choice comes from the clip's seeded generator, and the whole clip
+// is always generated before the playback window is applied, so the same clip
+// sounds the same whichever beat playback starts from.
+
+const PENTATONIC = [0, 2, 4, 7, 9];
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+function pick(random, options) {
+    return options[Math.floor(random() * options.length)];
+}
+
+function melodyVoice(clip, random) {
+    const root = 57 + Math.floor(random() * 8);
+    const notes = [];
+    let degree = Math.floor(random() * PENTATONIC.length);
+    for (let beat = 0; beat < clip.duration;) {
+        const length = Math.min(pick(random, [0.5, 0.5, 1, 1, 1.5]), clip.duration - beat);
+        // Random walk through the scale keeps the line singable
+        degree = Math.max(0, Math.min(9, degree + pick(random, [-2, -1, -1, 1, 1, 2])));
+        const octave = Math.floor(degree / PENTATONIC.length);
+        const note = root + PENTATONIC[degree % PENTATONIC.length] + octave * 12;
+        notes.push({ beat, length, tone: { type: 'triangle', frequency: midiToFrequency(note), gain: 0.22 } });
+        beat += length;
+    }
+    return notes;
+}
+
+function instrumentVoice(clip, random, beatsPerBar) {
+    const root = 48 + Math.floor(random() * 7);
+    const progression = [0, pick(random, [5, 7]), pick(random, [3, 4]), pick(random, [4, 7])];
+    const notes = [];
+    for (let bar = 0; bar * beatsPerBar < clip.duration; bar++) {
+        const beat = bar * beatsPerBar;
+        const length = Math.min(beatsPerBar, clip.duration - beat);
+        const chordRoot = root + progression[bar % progression.length];
+        [0, 4, 7].forEach(interval => {
+            notes.push({
+                beat,
+                length,
+                tone: { type: 'sawtooth', frequency: midiToFrequency(chordRoot + interval), gain: 0.06, filterFrequency: 1400 }
+            });
+        });
+    }
+    return notes;
+}
+
+function drumsVoice(clip, random, beatsPerBar) {
+    const notes = [];
+    const hatChance = 0.6 + random() * 0.4;
+    for (let beat = 0; beat < clip.duration; beat += 0.5) {
+        const beatInBar = beat % beatsPerBar;
+        const isKick = beatInBar === 0 || beatInBar === 2 || (Number.isInteger(beat) && random() < 0.15);
+        const isSnare = beatInBar === 1 || beatInBar === 3;
+
+        if (isKick) {
+            notes.push({ beat, length: 0.25, tone: { type: 'sine', frequency: 150, endFrequency: 45, gain: 0.8 } });
+        }
+        if (isSnare) {
+            notes.push({ beat, length: 0.2, noise: { filterType: 'bandpass', filterFrequency: 1800, gain: 0.4 } });
+        }
+        if (random() < hatChance) {
+            notes.push({ beat, length: 0.06, noise: { filterType: 'highpass', filterFrequency: 7000, gain: 0.15 } });
+        }
+    }
+    return notes;
+}
+
+function bassVoice(clip, random, beatsPerBar) {
+    const root = 33 + Math.floor(random() * 8);
+    const pattern = Array.from({ length: beatsPerBar }, () => pick(random, [0, 0, 7, 5, 12]));
+    const notes = [];
+    for (let beat = 0; beat < clip.duration; beat++) {
+        const length = Math.min(random() < 0.25 ? 0.45 : 0.9, clip.duration - beat);
+        const note = root + pattern[beat % beatsPerBar];
+        notes.push({ beat, length, tone: { type: 'sawtooth', frequency: midiToFrequency(note), gain: 0.3, filterFrequency: 500 } });
+    }
+    return notes;
+}
+
+function ambientVoice(clip, random) {
+    const root = 45 + Math.floor(random() * 12);
+    return [0, 7, 16].map(interval => ({
+        beat: 0,
+        length: clip.duration,
+        tone: {
+            type: 'sine',
+            // Slight detune per partial gives the drone some movement
+            frequency: midiToFrequency(root + interval) * (1 + (random() - 0.5) * 0.006),
+            gain: 0.1,
+            attack: 1.5,
+            release: 1.5
+        }
+    }));
+}
+
+function fieldVoice(clip, random) {
+    const notes = [];
+    for (let beat = 0; beat < clip.duration;) {
+        const length = Math.min(1 + Math.floor(random() * 3), clip.duration - beat);
+        notes.push({
+            beat,
+            length,
+            noise: {
+                filterType: 'bandpass',
+                filterFrequency: 300 + random() * 1700,
+                gain: 0.08 + random() * 0.17,
+                attack: 0.3,
+                release: 0.3
+            }
+        });
+        beat += length;
+    }
+    return notes;
+}
+
+// Lyrics, visuals and the recorded vocal types are not synthesized
+const VOICES = {
+    melody: melodyVoice,
+    instrument: instrumentVoice,
+    drums: drumsVoice,
+    bass: bassVoice,
+    ambient: ambientVoice,
+    field: fieldVoice
+};
+
+export function hasVoice(clipType) {
+    return Object.hasOwn(VOICES, clipType);
+}
+
+// Seeded by the sidebar clip, so every placement of a clip sounds the same
+export function getClipNotes(clip, beatsPerBar) {
+    assert(hasVoice(clip.type), `No voice for clip type: ${clip.type}`);
+    const random = createSeededRandom(clip.sourceClipId ?? clip.id);
+    return VOICES[clip.type](clip, random, beatsPerBar);
+}
+
+// ===== NODE BUILDERS =====
+
+// Buffers only depend on their seed and the context's sample rate, so each
+// context builds one once and every schedule after that reuses it
+const bufferCache = new WeakMap();
+
+function getCachedBuffer(context, key, build) {
+    if (!bufferCache.has(context)) {
+        bufferCache.set(context, new Map());
+    }
+    const buffers = bufferCache.get(context);
+    if (!buffers.has(key)) {
+        buffers.set(key, build());
+    }
+    return buffers.get(key);
+}
+
+function createNoiseBuffer(context, seed) {
+    const random = createSeededRandom(seed);
+    const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = random() * 2 - 1;
+    }
+    return buffer;
+}
+
+// Decaying stereo noise, always from the same seed, as the reverb impulse response
+function createImpulseResponse(context) {
+    const length = Math.round(PROJECT_CONFIG.audio.reverbSeconds * context.sampleRate);
+    const buffer = context.createBuffer(2, length, context.sampleRate);
+    for (let channel = 0; channel < 2; channel++) {
+        const random = createSeededRandom(`reverb-${channel}`);
+        const samples = buffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            samples[i] = (random() * 2 - 1) * Math.pow(1 - i / length, 3);
+        }
+    }
+    return buffer;
+}
+
+// Attack and release never take more than a third of a note each
+function getEnvelopeTimes({ duration, attack = 0.01, release = 0.08 }) {
+    return { attackTime: Math.min(attack, duration / 3), releaseTime: Math.min(release, duration / 3) };
+}
+
+// The level applyEnvelope reaches `elapsed` seconds into a note of `duration` seconds
+export function getEnvelopeLevel(shape, duration, elapsed) {
+    const { attackTime, releaseTime } = getEnvelopeTimes({ ...shape, duration });
+    if (elapsed < 0 || elapsed >= duration) return 0;
+    if (elapsed < attackTime) return shape.gain * (elapsed / attackTime);
+    if (elapsed > duration - releaseTime) return shape.gain * ((duration - elapsed) / releaseTime);
+    return shape.gain;
+}
+
+function applyEnvelope(gainParam, { when, duration, gain, ...shape }) {
+    const { attackTime, releaseTime } = getEnvelopeTimes({ ...shape, duration });
+    gainParam.setValueAtTime(0, when);
+    gainParam.linearRampToValueAtTime(gain, when + attackTime);
+    gainParam.setValueAtTime(gain, when + duration - releaseTime);
+    gainParam.linearRampToValueAtTime(0, when + duration);
+}
+
+function playTone(context, output, tone, when, duration) {
+    const oscillator = context.createOscillator();
+    oscillator.type = tone.type;
+    oscillator.frequency.setValueAtTime(tone.frequency, when);
+    if (tone.endFrequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(tone.endFrequency, when + duration);
+    }
+
+    const envelope = context.createGain();
+    applyEnvelope(envelope.gain, { ...tone, when, duration });
+
+    let source = oscillator;
+    if (tone.filterFrequency) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(tone.filterFrequency, when);
+        oscillator.connect(filter);
+        source = filter;
+    }
+    source.connect(envelope);
+    envelope.connect(output);
+
+    oscillator.start(when);
+    oscillator.stop(when + duration);
+    return oscillator;
+}
+
+function playNoise(context, output, noise, noiseBuffer, when, duration) {
+    const source = context.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.loop = true;
+
+    const filter = context.createBiquadFilter();
+    filter.type = noise.filterType;
+    filter.frequency.setValueAtTime(noise.filterFrequency, when);
+
+    const envelope = context.createGain();
+    applyEnvelope(envelope.gain, { ...noise, when, duration });
+
+    source.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(output);
+
+    source.start(when);
+    source.stop(when + duration);
+    return source;
+}
+
+// Sets an AudioParam from an effect for the whole window, following its automation
+function scheduleEffectParam(param, effect, toParamValue, timing) {
+    const { fromBeat, untilBeat, startAt, bpm } = timing;
+    param.setValueAtTime(toParamValue(getAutomatedValue(effect, fromBeat)), startAt);
+
+    assert(Array.isArray(effect.automation), `${effect.type} effect has no automation list`);
+    effect.automation
+        .filter(point => point.beat > fromBeat && point.beat < untilBeat)
+        .forEach(point => {
+            param.linearRampToValueAtTime(toParamValue(point.value), startAt + beatsToSeconds(point.beat - fromBeat, bpm));
+        });
+}
+
+// Squared so the knob's travel feels closer to perceived loudness
+export const volumeToGain = (value) => Math.pow(value / 100, 2);
+export const reverbToWet = (value) => value / 100;
+
+export function getClipPan(clipType) {
+    const pan = PROJECT_CONFIG.mixer.pan[clipType];
+    assert(typeof pan === 'number', `No stereo position for clip type: ${clipType}`);
+    return pan;
+}
+
+// ===== ARRANGEMENT SCHEDULING =====
+
+// Schedules every audible clip between fromBeat and untilBeat, starting at the
+// context time startAt. Live playback and offline mixdown both go through here.
+// Returns the scheduled sources and per-track buses so playback can be cut off.
+export function scheduleArrangement(context, destination, project, { fromBeat, untilBeat, startAt }) {
+    assert(untilBeat >= fromBeat, `Invalid playback window: ${fromBeat}-${untilBeat}`);
+
+    const { bpm, tracks } = project;
+    const { beatsPerBar } = calculateTimelineLength(project);
+    const timing = { fromBeat, untilBeat, startAt, bpm };
+    const sources = [];
+    const buses = [];
+
+    tracks.filter(track => isTrackAudible(tracks, track)).forEach(track => {
+        const clips = track.clips.filter(clip => hasVoice(clip.type));
+        if (clips.length === 0) return;
+
+        // Track bus: volume into the mix, plus a reverb send when the track has one
+        const volume = track.effects.find(effect => effect.type === 'volume');
+        assert(volume, `Track ${track.id} has no volume`);
+        const bus = context.createGain();
+        scheduleEffectParam(bus.gain, volume, volumeToGain, timing);
+        bus.connect(destination);
+        buses.push(bus);
+
+        const reverb = track.effects.find(effect => effect.type === 'reverb');
+        if (reverb) {
+            const convolver = context.createConvolver();
+            convolver.buffer = getCachedBuffer(context, 'reverb', () => createImpulseResponse(context));
+            const wet = context.createGain();
+            scheduleEffectParam(wet.gain, reverb, reverbToWet, timing);
+            bus.connect(convolver);
+            convolver.connect(wet);
+            wet.connect(destination);
+            buses.push(convolver, wet);
+        }
+
+        clips.forEach(clip => {
+            const noiseSeed = `${clip.sourceClipId ?? clip.id}-noise`;
+            const panner = context.createStereoPanner();
+            panner.pan.value = getClipPan(clip.type);
+            panner.connect(bus);
+            buses.push(panner);
+
+            getClipNotes(clip, beatsPerBar).forEach(note => {
+                // Notes already sounding when playback starts pick up part way through
+                const noteStart = clip.startTime + note.beat;
+                const start = Math.max(noteStart, fromBeat);
+                const end = Math.min(noteStart + note.length, untilBeat);
+                if (end <= start) return;
+
+                const when = startAt + beatsToSeconds(start - fromBeat, bpm);
+                const duration = beatsToSeconds(end - start, bpm);
+                if (note.tone) {
+                    sources.push(playTone(context, panner, note.tone, when, duration));
+                } else {
+                    const noiseBuffer = getCachedBuffer(context, noiseSeed, () => createNoiseBuffer(context, noiseSeed));
+                    sources.push(playNoise(context, panner, note.noise, noiseBuffer, when, duration));
+                }
+            });
+        });
+    });
+
+    return { sources, buses };
+}
+
+// Master gain every schedule feeds into, shared by live playback and mixdown
+export function createMasterBus(context, destination) {
+    const master = context.createGain();
+    master.gain.value = PROJECT_CONFIG.audio.masterGain;
+    master.connect(destination);
+    return master;
+}
+
+// ===== LIVE PLAYBACK =====
+
+// Owns the browser AudioContext, created on first play because browsers only
+// allow audio to start from a user gesture. Schedules are anchored to the
+// transport: play is given the transport position at the moment of the call,
+// and every note sounds exactly when the transport reaches its beat.
+export class AudioEngine {
+    constructor() {
+        this.context = null;
+        this.master = null;
+        // Scheduled passes, each { sources, buses, endsAt } in context time
+        this.passes = [];
+        // While looping: { project, region, nextStartAt } for the pass after the last queued one
+        this.loop = null;
+    }
+
+    ensureContext() {
+        if (this.context) return;
+
+        assert(typeof AudioContext === 'function', 'Web Audio is not available in this browser');
+        this.context = new AudioContext();
+        this.master = createMasterBus(this.context, this.context.destination);
+    }
+
+    // Scheduling needs a little lead time, so the first note scheduled is the
+    // one the transport reaches once that lead time has passed
+    prepare(project, transportBeat) {
+        this.stop();
+        this.ensureContext();
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+
+        const { lookaheadSeconds } = PROJECT_CONFIG.audio;
+        return {
+            startAt: this.context.currentTime + lookaheadSeconds,
+            startBeat: transportBeat + secondsToBeats(lookaheadSeconds, project.bpm)
+        };
+    }
+
+    schedulePass(project, fromBeat, untilBeat, startAt) {
+        const pass = scheduleArrangement(this.context, this.master, project, { fromBeat, untilBeat, startAt });
+        this.passes.push({ ...pass, endsAt: startAt + beatsToSeconds(untilBeat - fromBeat, project.bpm) });
+    }
+
+    play(project, transportBeat, untilBeat) {
+        const { startAt, startBeat } = this.prepare(project, transportBeat);
+        if (startBeat < untilBeat) {
+            this.schedulePass(project, startBeat, untilBeat, startAt);
+        }
+    }
+
+    // Plays on to the end of the region, then repeats it. Wraps keep the overshoot
+    // like the transport does, and the next pass is always queued before the
+    // current one ends, so a wrap never waits for a reschedule.
+    playLoop(project, transportBeat, region) {
+        assert(region.end > region.start, `Invalid loop region: ${region.start}-${region.end}`);
+        const { startAt, startBeat } = this.prepare(project, transportBeat);
+        const fromBeat = startBeat >= region.end
+            ? region.start + ((startBeat - region.end) % (region.end - region.start))
+            : startBeat;
+
+        this.schedulePass(project, fromBeat, region.end, startAt);
+        this.loop = { project, region, nextStartAt: startAt + beatsToSeconds(region.end - fromBeat, project.bpm) };
+        this.queueLoopPass();
+    }
+
+    queueLoopPass() {
+        const { project, region, nextStartAt } = this.loop;
+        this.schedulePass(project, region.start, region.end, nextStartAt);
+        this.loop.nextStartAt = nextStartAt + beatsToSeconds(region.end - region.start, project.bpm);
+    }
+
+    // Called on every transport tick while looping: once the last queued pass has
+    // started, the one after it is queued and passes that have died away let go
+    keepLoopQueued() {
+        if (!this.loop) return;
+
+        const { currentTime } = this.context;
+        const passSeconds = beatsToSeconds(this.loop.region.end - this.loop.region.start, this.loop.project.bpm);
+        // Frames stop in a background tab; skip the passes that were missed meanwhile
+        while (this.loop.nextStartAt < currentTime) {
+            this.loop.nextStartAt += passSeconds;
+        }
+        if (currentTime < this.loop.nextStartAt - passSeconds) return;
+
+        this.queueLoopPass();
+        const tailEnd = currentTime - PROJECT_CONFIG.audio.reverbSeconds;
+        this.passes.filter(pass => pass.endsAt < tailEnd).forEach(pass => this.releasePass(pass));
+        this.passes = this.passes.filter(pass => pass.endsAt >= tailEnd);
+    }
+
+    // Metronome clicks on each beat of a count-in, the first one accented.
+    // Returns the context time of the first click.
+    playCountIn(beats, bpm) {
+        this.stop();
+        this.ensureContext();
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+
+        const startAt = this.context.currentTime + PROJECT_CONFIG.audio.lookaheadSeconds;
+        const sources = Array.from({ length: beats }, (_, beat) => {
+            const click = { type: 'square', frequency: beat === 0 ? 1760 : 880, gain: 0.2, attack: 0.002, release: 0.03 };
+            return playTone(this.context, this.master, click, startAt + beatsToSeconds(beat, bpm), 0.06);
+        });
+        this.passes.push({ sources, buses: [], endsAt: startAt + beatsToSeconds(beats, bpm) });
+        return startAt;
+    }
+
+    releasePass(pass) {
+        pass.sources.forEach(source => source.stop());
+        // Disconnecting the buses also cuts reverb tails
+        pass.buses.forEach(bus => bus.disconnect());
+    }
+
+    stop() {
+        this.passes.forEach(pass => this.releasePass(pass));
+        this.passes = [];
+        this.loop = null;
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Assembly Audio Editor - Automation
+ * Breakpoint envelopes that move a track effect parameter over time
+ */
+
+import { assert } from './utils.js';
+
+// A track effect's automation is a list of { beat, value } points sorted by
+// beat, empty while the knob alone sets the value. The envelope holds the first
+// value before the first point and the last value after the last one, and
+// ramps linearly in between.
+export function isAutomated(effect) {
+    assert(Array.isArray(effect.automation), `${effect.type} effect has no automation list`);
+    return effect.automation.length > 0;
+}
+
+export function getAutomatedValue(effect, beat) {
+    assert(effect, 'Effect is required');
+    if (!isAutomated(effect)) return effect.value;
+
+    const points = effect.automation;
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (beat <= first.beat) return first.value;
+    if (beat >= last.beat) return last.value;
+
+    const nextIndex = points.findIndex(point => point.beat > beat);
+    const previous = points[nextIndex - 1];
+    const next = points[nextIndex];
+    const progress = (beat - previous.beat) / (next.beat - previous.beat);
+    return previous.value + (next.value - previous.value) * progress;
+}
+
+// Sorted copy with one point per beat; of two points on the same beat the later one wins
+export function normalizeAutomation(points) {
+    assert(Array.isArray(points), 'Automation points must be an array');
+
+    const byBeat = new Map();
+    points.forEach(point => {
+        assert(point.beat >= 0, `Automation point before the start: ${point.beat}`);
+        assert(point.value >= 0 && point.value <= 100, `Automation value out of range: ${point.value}`);
+        byBeat.set(point.beat, { beat: point.beat, value: Math.round(point.value) });
+    });
+
+    return [...byBeat.values()].sort((a, b) => a.beat - b.beat);
+}
@@ -0,0 +1,111 @@
+/**
+ * Assembly Audio Editor - Autosave
+ * Rolling per-project snapshots in localStorage for crash and reload recovery
+ */
+
+import { PROJECT_CONFIG, PROJECT_DATA } from './config.js';
+import { assert } from './utils.js';
+import { PROJECT_FILE_VERSION, parseProjectFile, serializeProject } from './project-file.js';
+
+export class AutosaveStore {
+    constructor(storage) {
+        assert(storage, 'Autosave requires a storage backend');
+        this.storage = storage;
+        this.keyPrefix = PROJECT_CONFIG.autosave.storageKeyPrefix;
+        this.maxSnapshots = PROJECT_CONFIG.autosave.maxSnapshotsPerProject;
+        assert(this.maxSnapshots > 0, 'autosave.maxSnapshotsPerProject must be positive');
+    }
+
+    getStorageKey(projectId) {
+        assert(projectId, 'Project ID is required for autosave');
+        return `${this.keyPrefix}${projectId}`;
+    }
+
+    // Newest snapshot first. This runs during startup, so corrupt data is logged
+    // and dropped rather than thrown, and snapshots written by an older file
+    // version are left out because they could no longer be restored.
+    getSnapshots(projectId) {
+        const key = this.getStorageKey(projectId);
+        const stored = this.storage.getItem(key);
+        if (!stored) return [];
+
+        let snapshots;
+        try {
+            snapshots = JSON.parse(stored);
+            assert(Array.isArray(snapshots), 'snapshot list is not an array');
+        } catch (err) {
+            console.error(`Discarding corrupted autosave data for ${projectId}:`, err.message);
+            this.storage.removeItem(key);
+            return [];
+        }
+
+        // A snapshot's contents is a serialized project file
+        return snapshots.filter(snapshot => {
+            let version;
+            try {
+                version = JSON.parse(snapshot.contents).version;
+            } catch (err) {
+                console.error(`Discarding unreadable autosave snapshot for ${projectId}:`, err.message);
+                return false;
+            }
+            return version === PROJECT_FILE_VERSION;
+        });
+    }
+
+    getAllSnapshots() {
+        const all = [];
+        Object.values(PROJECT_DATA).forEach(project => {
+            this.getSnapshots(project.id).forEach((snapshot, index) => {
+                all.push({
+                    projectId: project.id,
+                    projectName: project.name,
+                    index,
+                    savedAt: snapshot.savedAt,
+                    description: snapshot.description
+                });
+            });
+        });
+
+        all.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+        return all;
+    }
+
+    // Returns whether the snapshot was stored, so the caller can tell the player
+    saveSnapshot(project, description) {
+        assert(project, 'Project is required for autosave');
+        assert(description, 'Snapshot description is required');
+
+        const snapshots = this.getSnapshots(project.id);
+        snapshots.unshift({
+            savedAt: new Date().toISOString(),
+            description,
+            contents: serializeProject(project)
+        });
+
+        try {
+            this.storage.setItem(this.getStorageKey(project.id), JSON.stringify(snapshots.slice(0, this.maxSnapshots)));
+            return true;
+        } catch (err) {
+            // Most likely the storage quota - the editor keeps working
+            console.error(`Autosave failed for ${project.id}:`, err.message);
+            return false;
+        }
+    }
+
+    loadSnapshot(projectId, index) {
+        const snapshot = this.getSnapshots(projectId)[index];
+        assert(snapshot, `Autosave snapshot ${index} not found for ${projectId}`);
+        return parseProjectFile(snapshot.contents);
+    }
+
+    // Called once the project is safely in a file, so the restore prompt stops offering it
+    clearProject(projectId) {
+        this.storage.removeItem(this.getStorageKey(projectId));
+    }
+
+    clearAll() {
+        Object.values(PROJECT_DATA).forEach(project => {
+            this.storage.removeItem(this.getStorageKey(project.id));
+        });
+    }
+}
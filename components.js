@@ -3,8 +3,14 @@
  * Modular component system for building the audio editor interface
  */
 
-import { PROJECT_CONFIG, PROJECT_DATA, getCategoryByType, calculateTimelineLength, VINCE_RECORDING_VARIANTS, VINCES_NOTES_TEXTS } from './config.js';
-import { assert, formatDuration, formatTimeDisplay, createCustomEvent, findTrackById, findClipIndexById, getClipEndTime } from './utils.js';
+import { PROJECT_CONFIG, PROJECT_DATA, getCategoryByType, getSectionType, calculateTimelineLength, getPlayableLoopRegion, createDefaultTrackEffects, VINCE_RECORDING_VARIANTS, VINCES_NOTES_TEXTS } from './config.js';
+import { ANY_CLIP_TYPE } from './placement-rules.js';
+import { isAutomated, normalizeAutomation } from './automation.js';
+import { assert, beatsToSeconds, secondsToBeats, formatDuration, formatTimeDisplay, createCustomEvent, findTrackById, findOverlappingClip, getClipEndTime, isTrackAudible } from './utils.js';
+import { getProjectFileName } from './project-file.js';
+import { MeterChannel, getTrackLevels } from './metering.js';
+import { drawVisualFrame, prepareVisualCanvas } from './visual-renderer.js';
+import { getClipWaveform, getVerticalWaveformPoints, getWaveformColor, hasWaveform, resamplePeaks } from './waveform.js';
 
 // ===== COMPONENT BASE CLASS =====
 class Component {
@@ -198,10 +204,127 @@ class RecordingPopupComponent extends Component {
     }
 }
 
+// ===== AUTOSAVE RESTORE COMPONENT =====
+class AutosaveRestoreComponent extends Component {
+    constructor(element, snapshots, onRestore, onDiscard) {
+        super(element);
+
+        assert(Array.isArray(snapshots) && snapshots.length > 0, 'Autosave restore needs at least one snapshot');
+        this.snapshots = snapshots;
+        this.onRestore = onRestore;
+        this.onDiscard = onDiscard;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    init() {
+        // Rendering waits for the constructor to set snapshots and callbacks
+    }
+
+    render() {
+        this.element.innerHTML = `
+            <div class="autosave-restore">
+                <div class="autosave-restore__header">
+                    <h3 class="autosave-restore__title">💾 Restore unsaved work?</h3>
+                    <button class="autosave-restore__close" data-action="close" title="Decide later">✕</button>
+                </div>
+                <p class="autosave-restore__description">These arrangements were autosaved before the page was closed.</p>
+                <div class="autosave-restore__list">
+                    ${this.snapshots.map(snapshot => `
+                        <div class="autosave-restore__item">
+                            <div class="autosave-restore__info">
+                                <div class="autosave-restore__project">${snapshot.projectName}</div>
+                                <div class="autosave-restore__meta">${new Date(snapshot.savedAt).toLocaleString()} · ${snapshot.description}</div>
+                            </div>
+                            <button class="autosave-restore__restore-btn"
+                                    data-project-id="${snapshot.projectId}"
+                                    data-snapshot-index="${snapshot.index}">
+                                Restore
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="autosave-restore__footer">
+                    <button class="autosave-restore__discard-btn" data-action="discard">Discard all autosaves</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        this.element.addEventListener('click', (e) => {
+            const restoreButton = e.target.closest('.autosave-restore__restore-btn');
+            if (restoreButton) {
+                this.onRestore(restoreButton.dataset.projectId, parseInt(restoreButton.dataset.snapshotIndex, 10));
+                this.close();
+                return;
+            }
+
+            if (e.target.closest('[data-action="discard"]')) {
+                this.onDiscard();
+                this.close();
+                return;
+            }
+
+            if (e.target.closest('[data-action="close"]')) {
+                this.close();
+            }
+        });
+    }
+
+    close() {
+        const overlay = this.element.closest('.autosave-restore-overlay');
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    }
+}
+
+// ===== TOAST COMPONENT =====
+class ToastComponent extends Component {
+    init() {
+        this.element.addEventListener('click', (e) => {
+            const toast = e.target.closest('.toast');
+            if (toast) {
+                this.dismiss(toast);
+            }
+        });
+    }
+
+    // variant is 'error' or 'info'
+    show(message, variant = 'info') {
+        assert(message, 'Toast message is required');
+        assert(['error', 'info'].includes(variant), `Unknown toast variant: ${variant}`);
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast--${variant}`;
+        toast.setAttribute('role', variant === 'error' ? 'alert' : 'status');
+        toast.textContent = message;
+        this.element.appendChild(toast);
+
+        // Oldest toasts make room for new ones
+        const { durationMs, maxVisible } = PROJECT_CONFIG.toasts;
+        while (this.element.children.length > maxVisible) {
+            this.element.firstElementChild.remove();
+        }
+
+        setTimeout(() => this.dismiss(toast), durationMs);
+    }
+
+    dismiss(toast) {
+        toast.remove();
+    }
+}
+
 // ===== HEADER COMPONENT =====
 class HeaderComponent extends Component {
     init() {
         this.currentProject = null;
+        this.openDropdownId = null;
+        this.historyEntries = [];
+        this.undoDescription = null;
+        this.redoDescription = null;
         this.render();
         this.setupEventListeners();
     }
@@ -216,13 +339,22 @@ class HeaderComponent extends Component {
         this.element.innerHTML = `
             <span class="header__logo">🎛️</span>
             <span class="header__title">${PROJECT_CONFIG.app.name}</span>
-                        <span class="header__file-title">DRIVING.ASS</span>
+            <span class="header__file-title">${this.getFileTitle()}</span>
             <nav class="header__nav">
                 ${menu.items.map(item => this.renderMenuItem(item)).join('')}
             </nav>
+            <input type="file" class="header__file-input" accept="${PROJECT_CONFIG.content.fileExtensions.project}" hidden>
             <div class="header__controls">
                 <div class="header__transport-controls" id="header-transport-controls"></div>
                 <div class="header__time-display" id="header-time-display">00:00:00</div>
+                <label class="header__snap" title="Snap dropped clips to">
+                    <span class="header__snap-label">Snap</span>
+                    <select class="header__snap-select">
+                        ${PROJECT_CONFIG.snap.grids.map(grid => `
+                            <option value="${grid.id}" ${grid.id === PROJECT_CONFIG.snap.defaultGrid ? 'selected' : ''}>${grid.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
             </div>
             <button class="${recordButtonClass}" 
                     data-action="record-song" 
@@ -247,6 +379,50 @@ class HeaderComponent extends Component {
     setProject(project) {
         this.currentProject = project;
         this.updateRecordButtonState();
+        this.updateFileTitle();
+    }
+
+    setHistory(entries, undoDescription, redoDescription) {
+        this.historyEntries = entries;
+        this.undoDescription = undoDescription;
+        this.redoDescription = redoDescription;
+        this.updateHistoryButtons();
+
+        if (this.openDropdownId === 'history') {
+            const dropdown = this.element.querySelector('[data-dropdown="history"]');
+            dropdown.innerHTML = this.renderDropdownContent('history');
+        }
+    }
+
+    updateHistoryButtons() {
+        const buttons = [
+            { id: 'undo', description: this.undoDescription, shortcut: 'Ctrl+Z' },
+            { id: 'redo', description: this.redoDescription, shortcut: 'Ctrl+Shift+Z' }
+        ];
+
+        buttons.forEach(({ id, description, shortcut }) => {
+            const button = this.element.querySelector(`[data-menu-item="${id}"]`);
+            if (!button) return;
+
+            button.disabled = !description;
+            button.classList.toggle('header__nav-button--disabled', !description);
+            const label = id === 'undo' ? 'Undo' : 'Redo';
+            button.title = description ? `${label} ${description} (${shortcut})` : `Nothing to ${id}`;
+        });
+    }
+
+    getFileTitle() {
+        if (!this.currentProject) {
+            return PROJECT_CONFIG.content.fileInfo.noProjectFile;
+        }
+        return getProjectFileName(this.currentProject);
+    }
+
+    updateFileTitle() {
+        const fileTitle = this.element.querySelector('.header__file-title');
+        if (fileTitle) {
+            fileTitle.textContent = this.getFileTitle();
+        }
     }
 
     updateRecordButtonState() {
@@ -268,14 +444,110 @@ class HeaderComponent extends Component {
 
     renderMenuItem(item) {
         const disabledClass = item.disabled ? 'header__nav-button--disabled' : '';
-
-        return `
+        const button = `
             <button class="header__nav-button ${disabledClass}" 
                     data-menu-item="${item.id}"
+                    ${item.title ? `title="${item.title}"` : ''}
                     ${item.disabled ? 'disabled' : ''}>
                 ${item.label}
             </button>
         `;
+
+        if (!item.dropdown) {
+            return button;
+        }
+
+        return `
+            <div class="header__menu">
+                ${button}
+                <div class="project-dropdown header__dropdown" data-dropdown="${item.id}" hidden></div>
+            </div>
+        `;
+    }
+
+    renderDropdownContent(itemId) {
+        switch (itemId) {
+            case 'load':
+                return this.renderProjectList();
+            case 'history':
+                return this.renderHistoryList();
+            case 'export':
+                return this.renderExportList();
+            default:
+                assert(false, `No dropdown content defined for menu item: ${itemId}`);
+        }
+    }
+
+    renderProjectList() {
+        const currentProjectId = this.currentProject ? this.currentProject.id : null;
+
+        return `
+            <div class="project-dropdown__content">
+                ${Object.values(PROJECT_DATA).map(project => `
+                    <div class="project-dropdown__item ${project.id === currentProjectId ? 'project-dropdown__item--active' : ''}"
+                         data-project-id="${project.id}">
+                        <div class="project-dropdown__name">${project.name}</div>
+                        <div class="project-dropdown__description">${project.description}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Newest edit on top; undone edits stay listed until a new edit replaces them
+    renderHistoryList() {
+        return `
+            <div class="project-dropdown__content history-list">
+                ${[...this.historyEntries].reverse().map(entry => {
+                    const modifiers = [
+                        entry.isCurrent ? 'history-list__item--current' : '',
+                        entry.isUndone ? 'history-list__item--undone' : ''
+                    ].join(' ');
+                    return `
+                        <div class="history-list__item ${modifiers}" data-history-index="${entry.index}">
+                            ${entry.description}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderExportList() {
+        return `
+            <div class="project-dropdown__content">
+                ${PROJECT_CONFIG.audio.mixdownBitDepths.map(bitDepth => `
+                    <div class="project-dropdown__item" data-mixdown-bit-depth="${bitDepth}">
+                        <div class="project-dropdown__name">WAV ${bitDepth}-bit</div>
+                        <div class="project-dropdown__description">Whole arrangement, ${PROJECT_CONFIG.audio.mixdownSampleRate / 1000} kHz stereo</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    toggleDropdown(itemId) {
+        const shouldOpen = this.openDropdownId !== itemId;
+        this.closeDropdown();
+        if (!shouldOpen) return;
+
+        const dropdown = this.element.querySelector(`[data-dropdown="${itemId}"]`);
+        assert(dropdown, `Dropdown not found for menu item: ${itemId}`);
+
+        // Rendered on open so the list always reflects the current project
+        dropdown.innerHTML = this.renderDropdownContent(itemId);
+        dropdown.hidden = false;
+        this.openDropdownId = itemId;
+    }
+
+    closeDropdown() {
+        if (!this.openDropdownId) return;
+
+        const dropdown = this.element.querySelector(`[data-dropdown="${this.openDropdownId}"]`);
+        if (dropdown) {
+            dropdown.hidden = true;
+        }
+        this.openDropdownId = null;
     }
 
     setupEventListeners() {
@@ -287,6 +559,28 @@ class HeaderComponent extends Component {
                 return;
             }
 
+            const projectItem = e.target.closest('[data-project-id]');
+            if (projectItem) {
+                this.handleProjectSelect(projectItem.dataset.projectId);
+                return;
+            }
+
+            const historyItem = e.target.closest('[data-history-index]');
+            if (historyItem) {
+                this.closeDropdown();
+                const index = parseInt(historyItem.dataset.historyIndex, 10);
+                this.element.dispatchEvent(createCustomEvent('historyEntrySelected', { index }));
+                return;
+            }
+
+            const exportItem = e.target.closest('[data-mixdown-bit-depth]');
+            if (exportItem) {
+                this.closeDropdown();
+                const bitDepth = parseInt(exportItem.dataset.mixdownBitDepth, 10);
+                this.element.dispatchEvent(createCustomEvent('mixdownExportRequested', { bitDepth }));
+                return;
+            }
+
             const menuItem = e.target.closest('[data-menu-item]');
             if (menuItem) {
                 const itemId = menuItem.dataset.menuItem;
@@ -299,6 +593,29 @@ class HeaderComponent extends Component {
                 this.handleWindowControlClick(controlId);
             }
         });
+
+        this.element.addEventListener('change', (e) => {
+            const snapSelect = e.target.closest('.header__snap-select');
+            if (snapSelect) {
+                this.element.dispatchEvent(createCustomEvent('snapGridChanged', { gridId: snapSelect.value }));
+                return;
+            }
+
+            const fileInput = e.target.closest('.header__file-input');
+            if (!fileInput || fileInput.files.length === 0) return;
+
+            const file = fileInput.files[0];
+            // Reset so picking the same file again still fires a change event
+            fileInput.value = '';
+            this.element.dispatchEvent(createCustomEvent('projectFileSelected', { file }));
+        });
+
+        // Close an open dropdown when clicking anywhere outside its menu
+        document.addEventListener('click', (e) => {
+            if (this.openDropdownId && !e.target.closest('.header__menu')) {
+                this.closeDropdown();
+            }
+        });
     }
 
     handleRecordSongClick() {
@@ -315,7 +632,32 @@ class HeaderComponent extends Component {
 
     handleMenuItemClick(itemId) {
         console.log(`Menu item clicked: ${itemId}`);
-        // All menu items are disabled for now
+
+        const item = PROJECT_CONFIG.menu.items.find(menuItem => menuItem.id === itemId);
+        assert(item, `Unknown menu item: ${itemId}`);
+        if (item.dropdown) {
+            this.toggleDropdown(itemId);
+            return;
+        }
+        this.closeDropdown();
+
+        // The file picker has to be opened from within the click gesture
+        if (itemId === 'open') {
+            const fileInput = this.element.querySelector('.header__file-input');
+            assert(fileInput, 'Header file input not found');
+            fileInput.click();
+            return;
+        }
+
+        this.element.dispatchEvent(createCustomEvent('menuItemClick', { itemId }));
+    }
+
+    handleProjectSelect(projectId) {
+        assert(projectId, 'Project ID is required');
+        console.log(`Project selected from Load menu: ${projectId}`);
+
+        this.closeDropdown();
+        this.element.dispatchEvent(createCustomEvent('projectSelected', { projectId }));
     }
 
     handleWindowControlClick(controlId) {
@@ -334,6 +676,7 @@ class SidebarComponent extends Component {
         this.currentProject = null;
         this.isLooping = false;
         this.isPlaying = false;
+        this.currentTime = 0;
         this.render();
         this.setupEventListeners();
 
@@ -410,30 +753,14 @@ class SidebarComponent extends Component {
         }
 
         const usedClipIds = this.getUsedClipIds();
+        const clipsByCategory = this.groupSidebarClipsByCategory();
 
-        const melodyClips = [];
-        const instrumentClips = [];
-        const lyricsClips = [];
-        const visualsClips = [];
-
-        this.currentProject.sidebarClips.forEach(clip => {
-            if (clip.type === 'melody') {
-                melodyClips.push(clip);
-            } else if (clip.type === 'instrument') {
-                instrumentClips.push(clip);
-            } else if (clip.type === 'lyrics') {
-                lyricsClips.push(clip);
-            } else if (clip.type === 'visuals') {
-                visualsClips.push(clip);
-            }
-        });
-
-        return `
-            ${this.renderClipSection('🎵 Melody', melodyClips, usedClipIds)}
-            ${this.renderClipSection('🎸 Instrument', instrumentClips, usedClipIds)}
-            ${this.renderClipSection('📝 Lyrics', lyricsClips, usedClipIds)}
-            ${this.renderClipSection('🖼️ Visuals', visualsClips, usedClipIds)}
-        `;
+        // Sections follow the order clips are listed in the project data
+        return Object.entries(clipsByCategory).map(([type, clips]) => {
+            const category = getCategoryByType(type);
+            assert(category, `No clip category defined for clip type: ${type}`);
+            return this.renderClipSection(`${category.icon} ${category.name}`, clips, usedClipIds);
+        }).join('');
     }
 
     renderClipSection(title, clips, usedClipIds) {
@@ -448,6 +775,9 @@ class SidebarComponent extends Component {
                     ${clips.map(clip => {
             const isUsed = usedClipIds.includes(clip.id);
             const usedCount = this.getClipUsageCount(clip.id);
+            if (clip.needsRecording) {
+                return this.renderRecordingClip(clip, isUsed, usedCount);
+            }
             return this.renderNormalClip(clip, isUsed, usedCount);
         }).join('')}
                 </div>
@@ -475,7 +805,7 @@ class SidebarComponent extends Component {
                     </button>
                 </div>
                 <div class="clip-item__beats">
-                    ${this.renderBeatBars(clip.duration)}
+                    ${hasWaveform(clip.type) ? this.renderWaveformBars(clip) : this.renderBeatBars(clip.duration)}
                 </div>
             </div>
         `;
@@ -500,6 +830,19 @@ class SidebarComponent extends Component {
         `;
     }
 
+    // One bar per beat, as tall as the loudest moment in that beat
+    renderWaveformBars(clip) {
+        const { minBarHeight } = PROJECT_CONFIG.waveform;
+        const color = getWaveformColor(clip.type);
+        const peaks = resamplePeaks(getClipWaveform(clip, this.currentProject), Math.ceil(clip.duration));
+
+        return peaks.map(peak => `
+            <div class="beat-bar beat-bar--waveform"
+                 style="height: ${Math.max(minBarHeight, peak) * 100}%; background-color: ${color}">
+            </div>
+        `).join('');
+    }
+
     renderBeatBars(duration) {
         const beatCount = Math.ceil(duration);
         const bars = [];
@@ -535,10 +878,6 @@ class SidebarComponent extends Component {
         return clipsByCategory;
     }
 
-    formatTimeDisplay() {
-        return formatTimeDisplay(this.currentTime || 0, this.totalDuration || this.calculateDurationInSeconds());
-    }
-
     setupEventListeners() {
         this.element.addEventListener('click', this.handleClick.bind(this));
         this.element.addEventListener('change', this.handleChange.bind(this));
@@ -640,7 +979,8 @@ class SidebarComponent extends Component {
         };
 
         // Set drag image
-        e.dataTransfer.setDragImage(clipItem, 10, 10);
+        const { dragImageOffset } = PROJECT_CONFIG.layout;
+        e.dataTransfer.setDragImage(clipItem, dragImageOffset, dragImageOffset);
         e.dataTransfer.effectAllowed = 'copy';
 
         console.log(`Sidebar drag start:`, window.globalDragData);
@@ -706,38 +1046,18 @@ class SidebarComponent extends Component {
         this.currentRecordingPopup = popup;
     }
 
+    // The app swaps the take into the project, so the edit lands in undo history
     handleRecordingComplete(originalClipId, selectedVariant) {
-        // Find the original clip in the project
-        const clipIndex = findClipIndexById(this.currentProject.sidebarClips, originalClipId);
-
-        if (clipIndex === -1) {
-            console.error('Original clip not found:', originalClipId);
-            return;
-        }
-
-        // Replace the original clip with the recorded variant
         const newClip = {
             id: selectedVariant.id,
             name: selectedVariant.name,
             duration: selectedVariant.duration,
             type: 'vince',
-            needsRecording: false
+            needsRecording: false,
+            effects: []
         };
 
-        this.currentProject.sidebarClips[clipIndex] = newClip;
-
-        // Re-render the sidebar to show the new clip
-        this.render();
-
-        // Also refresh the clip repository specifically to ensure the new clip appears
-        this.refreshClipRepository();
-
-        // Dispatch event to notify app of recording completion
-        const event = createCustomEvent('recordingCompleted', {
-            originalClipId,
-            newClip: this.currentProject.sidebarClips[clipIndex]
-        });
-        this.element.dispatchEvent(event);
+        this.element.dispatchEvent(createCustomEvent('recordingCompleted', { originalClipId, newClip }));
     }
 
     setProject(project) {
@@ -768,14 +1088,15 @@ class SidebarComponent extends Component {
     calculateDurationInSeconds() {
         if (!this.currentProject || !this.timelineLength) return 16;
 
-        // Convert beats to seconds: (beats / BPM) * 60
-        const beats = this.timelineLength.beats;
-        const bpm = this.currentProject.bpm;
-        return (beats / bpm) * 60;
+        return beatsToSeconds(this.timelineLength.beats, this.currentProject.bpm);
     }
 
+    // currentTime is the transport position in beats
     formatTimeDisplay() {
-        return formatTimeDisplay(this.currentTime || 0, this.totalDuration || this.calculateDurationInSeconds());
+        if (!this.currentProject) {
+            return formatTimeDisplay(0, 0);
+        }
+        return formatTimeDisplay(beatsToSeconds(this.currentTime, this.currentProject.bpm), this.totalDuration);
     }
 
     setPlaying(playing) {
@@ -845,8 +1166,8 @@ class SidebarComponent extends Component {
         const usedIds = [];
         this.currentProject.tracks.forEach(track => {
             track.clips.forEach(clip => {
-                if (!usedIds.includes(clip.id)) {
-                    usedIds.push(clip.id);
+                if (!usedIds.includes(clip.sourceClipId)) {
+                    usedIds.push(clip.sourceClipId);
                 }
             });
         });
@@ -859,7 +1180,7 @@ class SidebarComponent extends Component {
         let count = 0;
         this.currentProject.tracks.forEach(track => {
             track.clips.forEach(clip => {
-                if (clip.id === clipId) {
+                if (clip.sourceClipId === clipId) {
                     count++;
                 }
             });
@@ -876,11 +1197,22 @@ class TimelineComponent extends Component {
         this.isPlaying = false;
         this.timelineLength = null;
         this.isSeeking = false;
+        this.isLooping = false;
+        this.isScrubbing = false;
+        this.pixelsPerBeat = PROJECT_CONFIG.layout.gridBeatWidth;
+        // Which effect's automation lane each track shows, by track id
+        this.automationLanes = {};
+        // Level meter state per track id, kept across re-renders of the headers
+        this.trackMeters = new Map();
+        this.snapGridId = PROJECT_CONFIG.snap.defaultGrid;
         this.render();
         this.setupEventListeners();
     }
 
     render() {
+        // The CSS beat grid lines and ruler cells follow the zoom level
+        this.element.style.setProperty('--grid-beat-width', `${this.getPixelsPerBeat()}px`);
+
         this.element.innerHTML = `
             <div class="timeline-container">
                 <div class="timeline-header-fixed">
@@ -904,6 +1236,7 @@ class TimelineComponent extends Component {
         // Update clip playing states after rendering
         if (this.currentTime !== undefined) {
             this.updateClipPlayingStates(this.currentTime);
+            this.updatePlayheadPosition(this.currentTime);
         }
     }
 
@@ -911,12 +1244,13 @@ class TimelineComponent extends Component {
         if (!this.currentProject || !this.timelineLength) return;
 
         // Update track content areas height
+        const timelineHeight = this.timelineLength.beats * this.getPixelsPerBeat();
         const trackContentAreas = this.element.querySelectorAll('.track-content__clips-area');
         trackContentAreas.forEach(area => {
-            area.style.height = `${this.timelineLength.height}px`;
+            area.style.height = `${timelineHeight}px`;
         });
 
-        console.log(`Timeline height set to: ${this.timelineLength.height}px`);
+        console.log(`Timeline height set to: ${timelineHeight}px`);
     }
 
     renderTimeRulerHeader() {
@@ -943,34 +1277,122 @@ class TimelineComponent extends Component {
 
         return `
             <div class="time-ruler-content">
-                <div class="time-ruler-content__left"></div>
+                <div class="time-ruler-content__left">
+                    <div class="timeline-zoom">
+                        <button class="timeline-zoom__button" data-action="zoom-in" title="Zoom in (+)">+</button>
+                        <button class="timeline-zoom__button" data-action="zoom-fit" title="Fit arrangement">⤢</button>
+                        <button class="timeline-zoom__button" data-action="zoom-out" title="Zoom out (-)">−</button>
+                    </div>
+                </div>
                 <div class="time-ruler-content__right">
                     <div class="time-ruler-content__grid">
                         ${this.renderTimeRulerBeats()}
+                        ${this.renderSectionMarkers()}
+                        ${this.renderLoopRegion()}
                     </div>
+                    <button class="time-ruler__extend" data-action="extend-timeline" title="Extend by one bar">+1</button>
                 </div>
             </div>
         `;
     }
 
+    renderSectionMarkers() {
+        const pixelsPerBeat = this.getPixelsPerBeat();
+
+        return this.getVisibleSections().map(({ marker, section }) => `
+            <div class="ruler-marker" data-marker-id="${marker.id}"
+                 style="top: ${marker.beat * pixelsPerBeat}px; --section-color: ${section.color};"
+                 title="${section.label} - drag to move, double-click to change, right-click to remove">
+                ${section.label}
+            </div>
+        `).join('');
+    }
+
+    // Colored section bands behind the clips, repeated in every track column
+    renderSectionBands() {
+        const pixelsPerBeat = this.getPixelsPerBeat();
+
+        return this.getVisibleSections().map(({ section, start, end }) => `
+            <div class="section-band" style="top: ${start * pixelsPerBeat}px; height: ${(end - start) * pixelsPerBeat}px; --section-color: ${section.color};">
+                <span class="section-band__label">${section.label}</span>
+            </div>
+        `).join('');
+    }
+
+    // Each section runs from its marker to the next one, or to the end of the timeline
+    getVisibleSections() {
+        const timelineEnd = this.timelineLength.beats;
+        const markers = this.currentProject.markers.filter(marker => marker.beat < timelineEnd);
+
+        return markers.map((marker, index) => {
+            const section = getSectionType(marker.type);
+            assert(section, `Unknown section type: ${marker.type}`);
+            const next = markers[index + 1];
+            return { marker, section, start: marker.beat, end: next ? next.beat : timelineEnd };
+        });
+    }
+
+    renderLoopRegion() {
+        const region = getPlayableLoopRegion(this.currentProject);
+        if (!region) return '';
+        const { start, end } = region;
+        const pixelsPerBeat = this.getPixelsPerBeat();
+
+        return `
+            <div class="loop-region ${this.isLooping ? 'loop-region--active' : ''}"
+                 style="top: ${start * pixelsPerBeat}px; height: ${(end - start) * pixelsPerBeat}px;">
+                <div class="loop-region__handle loop-region__handle--start" data-loop-edge="start" title="Drag to move the loop start"></div>
+                <div class="loop-region__handle loop-region__handle--end" data-loop-edge="end" title="Drag to move the loop end"></div>
+            </div>
+        `;
+    }
+
+    setLoopState(isLooping) {
+        this.isLooping = isLooping;
+        const loopRegion = this.element.querySelector('.loop-region');
+        if (loopRegion) {
+            loopRegion.classList.toggle('loop-region--active', isLooping);
+        }
+    }
+
     renderTimeRulerBeats() {
         const { bars, beatsPerBar } = this.timelineLength;
+        const { beatLabelMinPixels, subBeatLabelMinPixels } = PROJECT_CONFIG.zoom;
+        const pixelsPerBeat = this.getPixelsPerBeat();
         const beats = [];
 
-        for (let bar = 1; bar <= bars; bar++) {
-            for (let beat = 1; beat <= beatsPerBar; beat++) {
-                const isStrongBeat = beat === 1;
-                const isFirstBeatInBar = beat === 1;
-                beats.push({
-                    label: isFirstBeatInBar ? `${bar}` : `${bar}.${beat}`,
-                    isStrong: isStrongBeat,
-                    isFirstBeatInBar
-                });
+        // One ruler cell per label: whole bars, beats or half beats depending on zoom
+        let cellBeats = 1;
+        if (pixelsPerBeat < beatLabelMinPixels) {
+            cellBeats = beatsPerBar;
+        } else if (pixelsPerBeat >= subBeatLabelMinPixels) {
+            cellBeats = 0.5;
+        }
+
+        const cellCount = (bars * beatsPerBar) / cellBeats;
+        for (let cell = 0; cell < cellCount; cell++) {
+            const position = cell * cellBeats;
+            const bar = Math.floor(position / beatsPerBar) + 1;
+            const beatInBar = position % beatsPerBar;
+            const beat = Math.floor(beatInBar) + 1;
+            const isFirstBeatInBar = beatInBar === 0;
+
+            let label = `${bar}.${beat}`;
+            if (isFirstBeatInBar) {
+                label = `${bar}`;
+            } else if (!Number.isInteger(beatInBar)) {
+                label = `${bar}.${beat}.2`;
             }
+
+            beats.push({
+                label,
+                isStrong: beat === 1,
+                isFirstBeatInBar
+            });
         }
 
         return beats.map(beat => `
-            <div class="time-ruler__beat">
+            <div class="time-ruler__beat" style="height: ${cellBeats * pixelsPerBeat}px;">
                 <span class="time-ruler__beat-label ${beat.isStrong ? 'time-ruler__beat-label--strong' : ''} ${beat.isFirstBeatInBar ? 'time-ruler__beat-label--bar' : ''}">
                     ${beat.label}
                 </span>
@@ -1042,7 +1464,10 @@ class TimelineComponent extends Component {
         return `
             <div class="track__controls">
                 <button class="track__button ${disabledClass}" title="Mute" data-track-action="mute" data-track-id="${trackId}" ${disabledAttr}>
-                    🔇
+                    🔊
+                </button>
+                <button class="track__button track__button--solo ${disabledClass}" title="Solo" data-track-action="solo" data-track-id="${trackId}" ${disabledAttr}>
+                    S
                 </button>
             </div>
         `;
@@ -1061,6 +1486,7 @@ class TimelineComponent extends Component {
         return `
             <div class="track-content track-content--disabled" data-track-id="disabled-${position}">
                 <div class="track-content__clips-area track-content__clips-area--disabled" data-track-id="disabled-${position}">
+                    ${this.renderSectionBands()}
                     <div class="track-content__playhead"></div>
                     <div class="track-content__clips">
                     </div>
@@ -1084,19 +1510,15 @@ class TimelineComponent extends Component {
     }
 
     renderTrackHeader(track) {
-        let effects = [];
-
-        if (track.type === 'instrument') {
-            effects = [{ type: 'reverb', value: 50, label: 'Reverb' }];
-        } else if (track.type === 'lyrics') {
-            effects = [{ type: 'vocoder', value: 50, label: 'Vocoder' }];
-        }
-
         return `
             <div class="track-header" data-track-id="${track.id}">
                 <div class="track-header__name" data-track-id="${track.id}">${track.name}</div>
+                <div class="track-meter" data-track-meter="${track.id}">
+                    <div class="track-meter__level"></div>
+                    <div class="track-meter__peak" hidden></div>
+                </div>
                 ${this.renderTrackControls(track.id)}
-                ${effects.length > 0 ? this.renderEffectKnobs(track.id, effects) : ''}
+                ${track.effects.length > 0 ? this.renderEffectKnobs(track.id, track.effects) : ''}
             </div>
         `;
     }
@@ -1105,7 +1527,8 @@ class TimelineComponent extends Component {
         return `
             <div class="track-effects">
                 ${effects.map(effect => `
-                    <div class="effect-knob" data-track-id="${trackId}" data-effect-type="${effect.type}">
+                    <div class="effect-knob ${isAutomated(effect) ? 'effect-knob--automated' : ''}" data-track-id="${trackId}" data-effect-type="${effect.type}"
+                         title="${isAutomated(effect) ? `${effect.label} follows its automation lane` : effect.label}">
                         <div class="effect-knob__control" data-value="${effect.value}">
                             <svg class="effect-knob__svg" width="36" height="36" viewBox="0 0 36 36">
                                 <circle cx="18" cy="18" r="16" fill="var(--color-bg-tertiary)" stroke="var(--color-border)" stroke-width="1.5"/>
@@ -1113,7 +1536,8 @@ class TimelineComponent extends Component {
                                       transform="rotate(${(effect.value / 100) * 270 - 135} 18 18)"/>
                             </svg>
                         </div>
-                        <div class="effect-knob__label">${effect.label}</div>
+                        <button class="effect-knob__label ${this.automationLanes[trackId] === effect.type ? 'effect-knob__label--lane-open' : ''}"
+                                data-automation-toggle="${effect.type}" data-track-id="${trackId}" title="Show or hide the ${effect.label} automation lane">${effect.label}</button>
                     </div>
                 `).join('')}
             </div>
@@ -1124,15 +1548,73 @@ class TimelineComponent extends Component {
         return `
             <div class="track-content" data-track-id="${track.id}">
                 <div class="track-content__clips-area" data-track-id="${track.id}">
+                    ${this.renderSectionBands()}
                     <div class="track-content__playhead"></div>
                     <div class="track-content__clips">
                         ${track.clips.map(clip => this.renderClip(clip, track)).join('')}
                     </div>
+                    ${this.renderAutomationLane(track)}
                 </div>
             </div>
         `;
     }
 
+    // Envelope over the clips area: value runs left (0) to right (100), time runs down
+    renderAutomationLane(track, points = null) {
+        const effectType = this.automationLanes[track.id];
+        if (!effectType) return '';
+        const effect = track.effects.find(e => e.type === effectType);
+        if (!effect) return '';
+
+        const lanePoints = points ?? effect.automation;
+        const sortedPoints = [...lanePoints].sort((a, b) => a.beat - b.beat);
+        const pixelsPerBeat = this.getPixelsPerBeat();
+        const height = this.timelineLength.beats * pixelsPerBeat;
+
+        let envelope = `${effect.value},0 ${effect.value},${height}`;
+        if (sortedPoints.length > 0) {
+            const first = sortedPoints[0];
+            const last = sortedPoints[sortedPoints.length - 1];
+            envelope = [
+                `${first.value},0`,
+                ...sortedPoints.map(point => `${point.value},${point.beat * pixelsPerBeat}`),
+                `${last.value},${height}`
+            ].join(' ');
+        }
+
+        return `
+            <div class="automation-lane" data-track-id="${track.id}" data-effect-type="${effect.type}">
+                <span class="automation-lane__label">${effect.label}</span>
+                <svg class="automation-lane__envelope" viewBox="0 0 100 ${height}" preserveAspectRatio="none">
+                    <polyline class="automation-lane__line ${sortedPoints.length === 0 ? 'automation-lane__line--static' : ''}"
+                              points="${envelope}" vector-effect="non-scaling-stroke"/>
+                </svg>
+                ${lanePoints.map((point, index) => `
+                    <div class="automation-lane__point" data-point-index="${index}"
+                         style="left: ${point.value}%; top: ${point.beat * pixelsPerBeat}px;"
+                         title="${effect.label} ${Math.round(point.value)} - right-click to remove"></div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    toggleAutomationLane(trackId, effectType) {
+        if (this.automationLanes[trackId] === effectType) {
+            delete this.automationLanes[trackId];
+        } else {
+            this.automationLanes[trackId] = effectType;
+        }
+        this.render();
+    }
+
+    // Shows an automated value on the knob without touching the stored effect value
+    setKnobValue(trackId, effectType, value) {
+        const line = this.element.querySelector(`.effect-knob[data-track-id="${trackId}"][data-effect-type="${effectType}"] line`);
+        if (line) {
+            line.setAttribute('transform', `rotate(${(value / 100) * 270 - 135} 18 18)`);
+        }
+    }
+
     renderTrack(track) {
         const category = getCategoryByType(track.type);
         const trackColor = category ? category.color : '#6b7280';
@@ -1151,6 +1633,16 @@ class TimelineComponent extends Component {
         `;
     }
 
+    // Stretched over the whole clip, so one viewBox unit is one waveform point
+    renderClipWaveform(clip) {
+        const peaks = getClipWaveform(clip, this.currentProject);
+        return `
+            <svg class="clip__waveform" viewBox="0 0 100 ${peaks.length}" preserveAspectRatio="none" aria-hidden="true">
+                <polygon points="${getVerticalWaveformPoints(peaks)}" fill="${getWaveformColor(clip.type)}"></polygon>
+            </svg>
+        `;
+    }
+
     renderClip(clip, track) {
         const pixelsPerBeat = this.getPixelsPerBeat();
         const height = clip.duration * pixelsPerBeat;
@@ -1165,6 +1657,7 @@ class TimelineComponent extends Component {
                  data-clip-start-time="${clip.startTime}"
                  style="height: ${height}px; top: ${top}px;"
                  draggable="true">
+                ${hasWaveform(clip.type) ? this.renderClipWaveform(clip) : ''}
                 <div class="clip__resize-handle clip__resize-handle--top"></div>
                 <div class="clip__resize-handle clip__resize-handle--bottom"></div>
                 <div class="clip__content">
@@ -1195,8 +1688,39 @@ class TimelineComponent extends Component {
             if (e.target.closest('.add-track-button__button')) {
                 this.handleAddTrack();
             }
+
+            if (e.target.closest('[data-action="extend-timeline"]')) {
+                this.element.dispatchEvent(createCustomEvent('extendTimeline', {}));
+            }
+
+            const automationToggle = e.target.closest('[data-automation-toggle]');
+            if (automationToggle) {
+                this.toggleAutomationLane(automationToggle.dataset.trackId, automationToggle.dataset.automationToggle);
+            }
+
+            const zoomAction = e.target.closest('[data-action^="zoom-"]');
+            if (zoomAction) {
+                const zoomHandlers = {
+                    'zoom-in': () => this.zoomIn(),
+                    'zoom-out': () => this.zoomOut(),
+                    'zoom-fit': () => this.zoomToFit()
+                };
+                zoomHandlers[zoomAction.dataset.action]();
+            }
         });
 
+        // Ctrl+scroll zooms around the pointer instead of scrolling
+        this.element.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey || !this.timelineLength) return;
+
+            e.preventDefault();
+            if (e.deltaY < 0) {
+                this.zoomIn(e.clientY);
+            } else if (e.deltaY > 0) {
+                this.zoomOut(e.clientY);
+            }
+        }, { passive: false });
+
         // Setup knob interactions
         this.setupKnobInteractions();
 
@@ -1224,20 +1748,294 @@ class TimelineComponent extends Component {
 
         // Setup clip resizing
         this.setupClipResizing();
-    }
 
-    setupClipResizing() {
-        let resizingState = null;
+        this.setupLoopRegionDragging();
 
-        this.element.addEventListener('mousedown', (e) => {
-            const handle = e.target.closest('.clip__resize-handle');
-            if (!handle) return;
+        this.setupSeeking();
 
-            e.preventDefault();
-            e.stopPropagation();
+        this.setupMarkerEditing();
 
-            const clip = handle.closest('.clip');
-            if (!clip) return;
+        this.setupAutomationEditing();
+    }
+
+    // Pressing on a point drags it; pressing anywhere else in the lane draws
+    // points along the pointer path. Right-clicking a point removes it.
+    setupAutomationEditing() {
+        let laneState = null;
+
+        const getLanePosition = (e, lane) => {
+            const rect = lane.getBoundingClientRect();
+            const value = rect.width > 0 ? ((e.clientX - rect.left) / rect.width) * 100 : 0;
+            const beat = (e.clientY - rect.top) / this.getPixelsPerBeat();
+            return {
+                beat: Math.max(0, Math.min(this.quantizeAutomationBeat(beat), this.timelineLength.beats)),
+                value: Math.max(0, Math.min(100, Math.round(value)))
+            };
+        };
+
+        const redrawLane = () => {
+            const track = findTrackById(this.currentProject.tracks, laneState.trackId);
+            laneState.lane.outerHTML = this.renderAutomationLane(track, laneState.points);
+            laneState.lane = this.element.querySelector(`.automation-lane[data-track-id="${laneState.trackId}"]`);
+        };
+
+        const drawPoint = (position) => {
+            laneState.points = laneState.points.filter(point => point.beat !== position.beat);
+            laneState.points.push(position);
+        };
+
+        this.element.addEventListener('mousedown', (e) => {
+            const lane = e.target.closest('.automation-lane');
+            if (!lane || e.button !== 0) return;
+
+            e.preventDefault();
+            const track = findTrackById(this.currentProject.tracks, lane.dataset.trackId);
+            const effect = track.effects.find(ef => ef.type === lane.dataset.effectType);
+            const pointElement = e.target.closest('.automation-lane__point');
+
+            laneState = {
+                lane,
+                trackId: track.id,
+                effectType: effect.type,
+                points: effect.automation.map(point => ({ ...point })),
+                dragIndex: pointElement ? Number(pointElement.dataset.pointIndex) : null
+            };
+            if (laneState.dragIndex === null) {
+                drawPoint(getLanePosition(e, lane));
+            }
+            redrawLane();
+
+            document.addEventListener('mousemove', handleMouseMove);
+            document.addEventListener('mouseup', handleMouseUp);
+        });
+
+        const handleMouseMove = (e) => {
+            if (!laneState) return;
+
+            const position = getLanePosition(e, laneState.lane);
+            if (laneState.dragIndex !== null) {
+                laneState.points[laneState.dragIndex] = position;
+            } else {
+                drawPoint(position);
+            }
+            redrawLane();
+        };
+
+        const handleMouseUp = () => {
+            if (!laneState) return;
+
+            const { trackId, effectType, points } = laneState;
+            laneState = null;
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+
+            this.element.dispatchEvent(createCustomEvent('automationChanged', {
+                trackId,
+                effectType,
+                points: normalizeAutomation(points)
+            }));
+        };
+
+        this.element.addEventListener('contextmenu', (e) => {
+            const pointElement = e.target.closest('.automation-lane__point');
+            if (!pointElement) return;
+
+            e.preventDefault();
+            const lane = pointElement.closest('.automation-lane');
+            const track = findTrackById(this.currentProject.tracks, lane.dataset.trackId);
+            const effect = track.effects.find(ef => ef.type === lane.dataset.effectType);
+            const removeIndex = Number(pointElement.dataset.pointIndex);
+
+            this.element.dispatchEvent(createCustomEvent('automationChanged', {
+                trackId: track.id,
+                effectType: effect.type,
+                points: effect.automation.filter((point, index) => index !== removeIndex)
+            }));
+        });
+    }
+
+    quantizeAutomationBeat(beat) {
+        const step = this.getSnapStep() || PROJECT_CONFIG.automation.drawResolution;
+        return Math.round(beat / step) * step;
+    }
+
+    setupMarkerEditing() {
+        let markerDragState = null;
+
+        // Double-clicking the ruler adds a marker on the nearest beat
+        this.element.addEventListener('dblclick', (e) => {
+            const marker = e.target.closest('[data-marker-id]');
+            if (marker) {
+                const current = this.currentProject.markers.find(m => m.id === marker.dataset.markerId);
+                const types = PROJECT_CONFIG.sections.types;
+                const nextType = types[(types.findIndex(type => type.id === current.type) + 1) % types.length];
+                this.element.dispatchEvent(createCustomEvent('markerTypeChanged', { markerId: current.id, type: nextType.id }));
+                return;
+            }
+
+            const grid = e.target.closest('.time-ruler-content__grid');
+            if (!grid || e.target.closest('[data-loop-edge]')) return;
+
+            const beat = Math.round((e.clientY - grid.getBoundingClientRect().top) / this.getPixelsPerBeat());
+            this.element.dispatchEvent(createCustomEvent('markerAdded', {
+                beat: Math.max(0, Math.min(beat, this.timelineLength.beats - 1))
+            }));
+        });
+
+        this.element.addEventListener('contextmenu', (e) => {
+            const marker = e.target.closest('[data-marker-id]');
+            if (!marker) return;
+
+            e.preventDefault();
+            this.element.dispatchEvent(createCustomEvent('markerRemoved', { markerId: marker.dataset.markerId }));
+        });
+
+        this.element.addEventListener('mousedown', (e) => {
+            const marker = e.target.closest('[data-marker-id]');
+            if (!marker || e.button !== 0) return;
+
+            e.preventDefault();
+            const { beat } = this.currentProject.markers.find(m => m.id === marker.dataset.markerId);
+            markerDragState = { marker, startY: e.clientY, originalBeat: beat, beat };
+            document.addEventListener('mousemove', handleMouseMove);
+            document.addEventListener('mouseup', handleMouseUp);
+        });
+
+        const handleMouseMove = (e) => {
+            if (!markerDragState) return;
+
+            const { marker, startY, originalBeat } = markerDragState;
+            const deltaBeats = Math.round((e.clientY - startY) / this.getPixelsPerBeat());
+            markerDragState.beat = Math.max(0, Math.min(originalBeat + deltaBeats, this.timelineLength.beats - 1));
+            marker.style.top = `${markerDragState.beat * this.getPixelsPerBeat()}px`;
+        };
+
+        const handleMouseUp = () => {
+            if (!markerDragState) return;
+
+            const { marker, originalBeat, beat } = markerDragState;
+            markerDragState = null;
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+
+            if (beat === originalBeat) return;
+            this.element.dispatchEvent(createCustomEvent('markerMoved', { markerId: marker.dataset.markerId, beat }));
+        };
+    }
+
+    // Clicking the ruler or an empty spot in a track moves the playhead there;
+    // dragging keeps following the pointer so the arrangement can be scrubbed
+    setupSeeking() {
+        let scrubSurface = null;
+        let scrubBeat = null;
+
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            if (e.target.closest('[data-loop-edge], [data-marker-id], [data-action], .clip, .automation-lane')) return;
+
+            const surface = e.target.closest('.time-ruler-content__grid, .track-content__clips-area');
+            if (!surface) return;
+
+            e.preventDefault();
+            scrubSurface = surface;
+            this.isScrubbing = true;
+            scrubBeat = this.getSeekBeat(e.clientY, surface);
+            this.dispatchSeek(scrubBeat, true);
+            document.addEventListener('mousemove', handleMouseMove);
+            document.addEventListener('mouseup', handleMouseUp);
+        });
+
+        const handleMouseMove = (e) => {
+            if (!scrubSurface) return;
+            scrubBeat = this.getSeekBeat(e.clientY, scrubSurface);
+            this.dispatchSeek(scrubBeat, true);
+        };
+
+        // The final seek lets the app reschedule audio from where the scrub ended
+        const handleMouseUp = () => {
+            this.dispatchSeek(scrubBeat, false);
+            scrubSurface = null;
+            scrubBeat = null;
+            this.isScrubbing = false;
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+            this.updateClipPlayingStates(this.currentTime);
+        };
+    }
+
+    // Beat 0 sits at the top edge of both the ruler grid and every clips area
+    getSeekBeat(clientY, surface) {
+        const offsetY = clientY - surface.getBoundingClientRect().top;
+        return Math.max(0, Math.min(offsetY / this.getPixelsPerBeat(), this.timelineLength.beats));
+    }
+
+    dispatchSeek(beat, isScrubbing) {
+        this.element.dispatchEvent(createCustomEvent('seekToBeat', { beat, isScrubbing }));
+    }
+
+    setupLoopRegionDragging() {
+        let loopDragState = null;
+
+        this.element.addEventListener('mousedown', (e) => {
+            const handle = e.target.closest('[data-loop-edge]');
+            if (!handle) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            loopDragState = {
+                edge: handle.dataset.loopEdge,
+                startY: e.clientY,
+                region: getPlayableLoopRegion(this.currentProject)
+            };
+            loopDragState.original = { ...loopDragState.region };
+            document.addEventListener('mousemove', handleMouseMove);
+            document.addEventListener('mouseup', handleMouseUp);
+        });
+
+        const handleMouseMove = (e) => {
+            if (!loopDragState) return;
+
+            // Loop points always sit on whole beats and keep at least one beat between them
+            const { edge, startY, original, region } = loopDragState;
+            const deltaBeats = Math.round((e.clientY - startY) / this.getPixelsPerBeat());
+            if (edge === 'start') {
+                region.start = Math.max(0, Math.min(original.start + deltaBeats, region.end - 1));
+            } else {
+                region.end = Math.min(this.timelineLength.beats, Math.max(original.end + deltaBeats, region.start + 1));
+            }
+
+            const loopRegion = this.element.querySelector('.loop-region');
+            const pixelsPerBeat = this.getPixelsPerBeat();
+            loopRegion.style.top = `${region.start * pixelsPerBeat}px`;
+            loopRegion.style.height = `${(region.end - region.start) * pixelsPerBeat}px`;
+        };
+
+        const handleMouseUp = () => {
+            if (!loopDragState) return;
+
+            const { region, original } = loopDragState;
+            loopDragState = null;
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+
+            if (region.start === original.start && region.end === original.end) return;
+            this.element.dispatchEvent(createCustomEvent('loopRegionChanged', { start: region.start, end: region.end }));
+        };
+    }
+
+    setupClipResizing() {
+        let resizingState = null;
+
+        this.element.addEventListener('mousedown', (e) => {
+            const handle = e.target.closest('.clip__resize-handle');
+            if (!handle) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const clip = handle.closest('.clip');
+            if (!clip) return;
 
             resizingState = this.initializeResizing(handle, clip, e.clientY);
             document.addEventListener('mousemove', handleMouseMove);
@@ -1264,11 +2062,14 @@ class TimelineComponent extends Component {
         this.element.addEventListener('mousedown', (e) => {
             const knobControl = e.target.closest('.effect-knob__control');
             if (!knobControl) return;
+            // Automated parameters are edited in their lane
+            if (knobControl.closest('.effect-knob--automated')) return;
 
             e.preventDefault();
             const knob = knobControl.closest('.effect-knob');
             const startY = e.clientY;
-            const startValue = parseInt(knobControl.dataset.value) || 0;
+            const startValue = Number(knobControl.dataset.value);
+            assert(Number.isFinite(startValue), `Knob ${knob.dataset.effectType} has no value`);
 
             knobState = { knob, knobControl, startY, startValue };
 
@@ -1294,9 +2095,20 @@ class TimelineComponent extends Component {
         };
 
         const handleKnobUp = () => {
+            if (!knobState) return;
+
+            const { knob, knobControl, startValue } = knobState;
             knobState = null;
             document.removeEventListener('mousemove', handleKnobMove);
             document.removeEventListener('mouseup', handleKnobUp);
+
+            const value = Number(knobControl.dataset.value);
+            if (value === startValue) return;
+            this.element.dispatchEvent(createCustomEvent('effectChanged', {
+                trackId: knob.dataset.trackId,
+                effectType: knob.dataset.effectType,
+                value
+            }));
         };
     }
 
@@ -1314,8 +2126,7 @@ class TimelineComponent extends Component {
     updateClipResize(state, currentY) {
         const { handle, clip, startY, startHeight, startTime, originalDuration } = state;
         const deltaY = currentY - startY;
-        const trackElement = clip.closest('.track');
-        const trackId = trackElement.dataset.trackId;
+        const trackId = clip.dataset.trackId;
 
         let newHeight = startHeight;
         let newDuration = originalDuration;
@@ -1351,7 +2162,7 @@ class TimelineComponent extends Component {
 
     finalizeClipResize(state) {
         const { handle, clip } = state;
-        const trackId = clip.closest('.track').dataset.trackId;
+        const trackId = clip.dataset.trackId;
         const clipId = clip.dataset.clipId;
         const newStartTime = parseFloat(clip.dataset.clipStartTime);
         const newDuration = parseFloat(clip.dataset.clipDuration);
@@ -1364,19 +2175,91 @@ class TimelineComponent extends Component {
     }
 
     wouldOverlap(trackId, excludeClipId, startTime, duration) {
-        const endTime = startTime + duration;
         const track = this.currentProject.tracks.find(t => t.id === trackId);
         if (!track) return false;
 
-        return track.clips.some(clip => {
-            if (clip.id === excludeClipId) return false;
-            const clipEnd = getClipEndTime(clip);
-            return (startTime < clipEnd && endTime > clip.startTime);
-        });
+        return findOverlappingClip(track.clips, startTime, duration, excludeClipId) !== null;
     }
 
     getPixelsPerBeat() {
-        return PROJECT_CONFIG.layout.gridBeatWidth;
+        return this.pixelsPerBeat;
+    }
+
+    // ===== ZOOM =====
+
+    zoomIn(anchorClientY = null) {
+        const nextLevel = PROJECT_CONFIG.zoom.levels.find(level => level > this.pixelsPerBeat);
+        if (nextLevel) {
+            this.setZoom(nextLevel, anchorClientY);
+        }
+    }
+
+    zoomOut(anchorClientY = null) {
+        const previousLevel = PROJECT_CONFIG.zoom.levels.findLast(level => level < this.pixelsPerBeat);
+        if (previousLevel) {
+            this.setZoom(previousLevel, anchorClientY);
+        }
+    }
+
+    // Fit the whole arrangement into the visible height at the closest zoom level
+    // that doesn't overflow it, so zooming in and out keeps stepping through the levels
+    zoomToFit() {
+        if (!this.timelineLength) return;
+
+        const scrollable = this.element.querySelector('.timeline-content-scrollable');
+        const rulerTop = this.getBeatZeroOffset(scrollable);
+        const availableHeight = scrollable.clientHeight - rulerTop;
+        const fitPixelsPerBeat = availableHeight / this.timelineLength.beats;
+        const { levels } = PROJECT_CONFIG.zoom;
+        this.setZoom(levels.findLast(level => level <= fitPixelsPerBeat) ?? levels[0], null);
+        this.element.querySelector('.timeline-content-scrollable').scrollTop = 0;
+    }
+
+    // Keeps the beat under anchorClientY (or the middle of the view) in place
+    setZoom(pixelsPerBeat, anchorClientY) {
+        if (!this.timelineLength) return;
+
+        const { levels } = PROJECT_CONFIG.zoom;
+        const clamped = Math.max(levels[0], Math.min(pixelsPerBeat, levels[levels.length - 1]));
+        if (clamped === this.pixelsPerBeat) return;
+
+        const scrollable = this.element.querySelector('.timeline-content-scrollable');
+        const scrollableTop = scrollable.getBoundingClientRect().top;
+        const anchorOffset = anchorClientY === null ? scrollable.clientHeight / 2 : anchorClientY - scrollableTop;
+        const rulerTop = this.getBeatZeroOffset(scrollable);
+        const anchorBeat = (scrollable.scrollTop + anchorOffset - rulerTop) / this.pixelsPerBeat;
+
+        this.pixelsPerBeat = clamped;
+        this.render();
+
+        const zoomedScrollable = this.element.querySelector('.timeline-content-scrollable');
+        zoomedScrollable.scrollTop = Math.max(0, rulerTop + anchorBeat * clamped - anchorOffset);
+    }
+
+    // Distance from the top of the scrolled content to beat 0
+    getBeatZeroOffset(scrollable) {
+        const grid = scrollable.querySelector('.time-ruler-content__grid');
+        return grid.getBoundingClientRect().top - scrollable.getBoundingClientRect().top + scrollable.scrollTop;
+    }
+
+    setSnapGrid(gridId) {
+        const grid = PROJECT_CONFIG.snap.grids.find(snapGrid => snapGrid.id === gridId);
+        assert(grid, `Unknown snap grid: ${gridId}`);
+        this.snapGridId = gridId;
+        console.log(`Snap grid set to: ${grid.label}`);
+    }
+
+    // Step in beats for the active grid; 0 means no snapping
+    getSnapStep() {
+        if (this.snapGridId === 'bar') {
+            return this.timelineLength.beatsPerBar;
+        }
+        return PROJECT_CONFIG.snap.grids.find(grid => grid.id === this.snapGridId).beats;
+    }
+
+    snapBeat(beat) {
+        const step = this.getSnapStep();
+        return step > 0 ? Math.round(beat / step) * step : beat;
     }
 
     setupDragAndDrop() {
@@ -1402,7 +2285,8 @@ class TimelineComponent extends Component {
             };
 
             // Set drag image
-            e.dataTransfer.setDragImage(clip, 10, 10);
+            const { dragImageOffset } = PROJECT_CONFIG.layout;
+            e.dataTransfer.setDragImage(clip, dragImageOffset, dragImageOffset);
             e.dataTransfer.effectAllowed = 'move';
 
             console.log(`Timeline drag start: ${clipId} from track ${trackId}`);
@@ -1427,16 +2311,6 @@ class TimelineComponent extends Component {
             return;
         }
 
-        if (action === 'mute') {
-            // Toggle mute button visual state only
-            const muteButton = this.element.querySelector(`[data-track-id="${trackId}"] [data-track-action="mute"]`);
-            if (muteButton) {
-                const isCurrentlyMuted = muteButton.textContent === '🔇';
-                muteButton.textContent = isCurrentlyMuted ? '🔊' : '🔇';
-            }
-            return;
-        }
-
         const event = new CustomEvent('trackAction', {
             detail: { action, trackId }
         });
@@ -1446,11 +2320,25 @@ class TimelineComponent extends Component {
 
 
     updateTrackButtonStates() {
-        this.currentProject.tracks.forEach(track => {
-            const muteButton = this.element.querySelector(`[data-track-id="${track.id}"] [data-track-action="mute"]`);
+        const { tracks } = this.currentProject;
+        tracks.forEach(track => {
+            const muteButton = this.element.querySelector(`.track-header[data-track-id="${track.id}"] [data-track-action="mute"]`);
             if (muteButton) {
-                // Toggle between muted and unmuted icons
-                muteButton.textContent = muteButton.classList.contains('track__button--active') ? '🔇' : '🔊';
+                muteButton.classList.toggle('track__button--active', track.muted);
+                muteButton.textContent = track.muted ? '🔇' : '🔊';
+                muteButton.title = track.muted ? 'Unmute' : 'Mute';
+            }
+
+            const soloButton = this.element.querySelector(`.track-header[data-track-id="${track.id}"] [data-track-action="solo"]`);
+            if (soloButton) {
+                soloButton.classList.toggle('track__button--active', track.soloed);
+                soloButton.title = track.soloed ? 'Unsolo' : 'Solo';
+            }
+
+            // Muted tracks, and unsoloed ones while something is soloed, fade out
+            const trackContent = this.element.querySelector(`.track-content[data-track-id="${track.id}"]`);
+            if (trackContent) {
+                trackContent.classList.toggle('track-content--silent', !isTrackAudible(tracks, track));
             }
         });
     }
@@ -1480,9 +2368,9 @@ class TimelineComponent extends Component {
             return;
         }
 
-        // Generate new track ID
+        // Timestamp ids, since counting tracks would reuse a removed track's id
         const trackCount = this.currentProject.tracks.length;
-        const newTrackId = `track-${trackCount + 1}`;
+        const newTrackId = `track-${Date.now()}`;
         const newTrackName = `${PROJECT_CONFIG.content.timeline.newTrackPrefix}${trackCount + 1}`;
 
         // Create new track object
@@ -1490,7 +2378,12 @@ class TimelineComponent extends Component {
             id: newTrackId,
             name: newTrackName,
             type: 'custom',
-            clips: []
+            accepts: [ANY_CLIP_TYPE],
+            tags: [],
+            clips: [],
+            muted: false,
+            soloed: false,
+            effects: createDefaultTrackEffects('custom')
         };
 
         // Add to project
@@ -1539,9 +2432,9 @@ class TimelineComponent extends Component {
         // Extract position from disabled track ID
         const position = parseInt(trackId.replace('disabled-', ''));
 
-        // Generate new track ID and name
+        // Timestamp ids, since counting tracks would reuse a removed track's id
         const trackCount = this.currentProject.tracks.length;
-        const newTrackId = `track-${trackCount + 1}`;
+        const newTrackId = `track-${Date.now()}`;
         const newTrackName = `Track ${trackCount + 1}`;
 
         // Create new track object with remembered position
@@ -1549,7 +2442,12 @@ class TimelineComponent extends Component {
             id: newTrackId,
             name: newTrackName,
             type: 'custom',
+            accepts: [ANY_CLIP_TYPE],
+            tags: [],
             clips: [],
+            muted: false,
+            soloed: false,
+            effects: createDefaultTrackEffects('custom'),
             position: position
         };
 
@@ -1667,13 +2565,14 @@ class TimelineComponent extends Component {
     }
 
     updateClipPlayingStates(currentTime) {
-        // Only highlight clips when actually playing
-        if (!this.isPlaying) {
-            // Clear all playing states when not playing
+        // Only highlight clips when actually playing or scrubbing through them
+        if (!this.isPlaying && !this.isScrubbing) {
+            // Clear all playing states otherwise
             const allClips = this.element.querySelectorAll('.clip');
             allClips.forEach(clip => {
                 clip.classList.remove('clip--playing');
             });
+            this.resetTrackMeters();
             return;
         }
 
@@ -1689,8 +2588,11 @@ class TimelineComponent extends Component {
         });
 
         // Add playing class only to clips that are currently being played
-        this.currentProject.tracks.forEach(track => {
+        const { tracks } = this.currentProject;
+        const activeTrackIds = new Set();
+        tracks.forEach(track => {
             if (!track || !track.clips) return;
+            if (!isTrackAudible(tracks, track)) return;
 
             track.clips.forEach(clip => {
                 // Validate clip data
@@ -1707,15 +2609,50 @@ class TimelineComponent extends Component {
                     if (clipElement) {
                         clipElement.classList.add('clip--playing');
                     }
+                    activeTrackIds.add(track.id);
                 }
             });
         });
+
+        this.updateTrackMeters(currentTime, activeTrackIds);
+    }
+
+    // A track's meter lights while one of its clips plays and shows the track's
+    // level after mute/solo, volume and reverb, the louder stereo side winning
+    updateTrackMeters(currentTime, activeTrackIds) {
+        const now = performance.now();
+        this.currentProject.tracks.forEach(track => {
+            if (!this.trackMeters.has(track.id)) {
+                this.trackMeters.set(track.id, new MeterChannel());
+            }
+            const meter = this.trackMeters.get(track.id);
+            const { left, right } = getTrackLevels(this.currentProject, track, currentTime);
+            meter.update(Math.max(left, right), now);
+            this.renderTrackMeter(track.id, meter, activeTrackIds.has(track.id));
+        });
+    }
+
+    renderTrackMeter(trackId, meter, isActive) {
+        const meterElement = this.element.querySelector(`[data-track-meter="${trackId}"]`);
+        if (!meterElement) return;
+
+        meterElement.classList.toggle('track-meter--active', isActive);
+        meterElement.querySelector('.track-meter__level').style.width = `${meter.getLevelPercent()}%`;
+        const peak = meterElement.querySelector('.track-meter__peak');
+        peak.style.left = `${meter.getPeakPercent()}%`;
+        peak.hidden = !meter.hasPeak();
+    }
+
+    resetTrackMeters() {
+        this.trackMeters.forEach((meter, trackId) => {
+            meter.reset();
+            this.renderTrackMeter(trackId, meter, false);
+        });
     }
 
     updatePlayheadPosition(time) {
         const playheads = this.element.querySelectorAll('.track-content__playhead');
-        const beatHeight = PROJECT_CONFIG.layout.gridBeatWidth;
-        const topPosition = time * beatHeight;
+        const topPosition = time * this.getPixelsPerBeat();
 
         playheads.forEach(playhead => {
             playhead.style.top = `${topPosition}px`;
@@ -1749,9 +2686,10 @@ class TimelineComponent extends Component {
             }
         });
 
-        // Clear clip playing states when stopping playback
+        // Clear clip playing states and meter peaks when stopping playback
         if (!playing) {
             this.clearAllClipPlayingStates();
+            this.resetTrackMeters();
         }
     }
 
@@ -1802,30 +2740,46 @@ class TimelineComponent extends Component {
         delete trackNameElement.dataset.originalName;
     }
 
+    isInactiveSlot(trackId) {
+        return trackId.startsWith('disabled-');
+    }
+
     calculateDropPosition(e, trackElement) {
         // Look for clips area in the new timeline structure
         const clipsArea = trackElement.querySelector('.track-content__clips-area, .track__clips-area');
         if (!clipsArea) {
-            return { startTime: 0, endTime: 0, isValid: false };
+            return { startTime: 0, endTime: 0, isValid: false, reason: null };
         }
 
         const trackId = trackElement.dataset.trackId;
 
-        // Always start clips at position 0 (top of track)
-        const startTime = 0;
-
         const dragData = window.globalDragData;
-        if (!dragData) return { startTime: 0, endTime: 0, isValid: false };
+        if (!dragData) return { startTime: 0, endTime: 0, isValid: false, reason: null };
+
+        // The clips area rect already moves with the scroll container, so this is
+        // the pointer's offset from beat 0. The clip's top edge sits above the
+        // pointer by the drag image offset.
+        const areaTop = clipsArea.getBoundingClientRect().top;
+        const clipTopY = e.clientY - areaTop - PROJECT_CONFIG.layout.dragImageOffset;
+        const startTime = Math.max(0, this.snapBeat(clipTopY / this.getPixelsPerBeat()));
 
         const duration = dragData.clipDuration || 1;
         const endTime = startTime + duration;
 
-        const wouldOverlap = this.wouldOverlap(trackId, null, startTime, duration);
+        // A clip being moved never collides with its own old position
+        // Single-clip tracks replace their clip on drop, so only multiple mode can collide
+        const movingClipId = dragData.type === 'timeline-clip' ? dragData.clipId : null;
+        const wouldOverlap = this.currentProject.clipsPerTrack === 'multiple'
+            && this.wouldOverlap(trackId, movingClipId, startTime, duration);
+        const track = findTrackById(this.currentProject.tracks, trackId);
 
         return {
             startTime,
             endTime,
             isValid: !wouldOverlap,
+            reason: wouldOverlap
+                ? PROJECT_CONFIG.content.dropRejections.occupied.replace('{trackName}', track.name)
+                : null,
             y: startTime * this.getPixelsPerBeat(),
             height: duration * this.getPixelsPerBeat()
         };
@@ -1870,6 +2824,28 @@ class TimelineComponent extends Component {
     cleanupDropPreviews() {
         const allPreviews = this.element.querySelectorAll('.clip-drop-preview');
         allPreviews.forEach(preview => preview.remove());
+        this.hideDropRejectionTooltip();
+    }
+
+    // Native title tooltips don't appear while dragging, so rejected tracks get
+    // a cursor-following tooltip instead
+    showDropRejectionTooltip(x, y, reason) {
+        if (!this.dropRejectionTooltip) {
+            this.dropRejectionTooltip = document.createElement('div');
+            this.dropRejectionTooltip.className = 'drop-tooltip';
+            document.body.appendChild(this.dropRejectionTooltip);
+        }
+
+        this.dropRejectionTooltip.textContent = reason;
+        this.dropRejectionTooltip.style.left = `${x}px`;
+        this.dropRejectionTooltip.style.top = `${y}px`;
+        this.dropRejectionTooltip.hidden = false;
+    }
+
+    hideDropRejectionTooltip() {
+        if (this.dropRejectionTooltip) {
+            this.dropRejectionTooltip.hidden = true;
+        }
     }
 
     clearAllClipPlayingStates() {
@@ -1883,61 +2859,69 @@ class TimelineComponent extends Component {
 // ===== VU METER COMPONENT =====
 class VUMeterComponent extends Component {
     init() {
-        this.level = 0;
-        this.animationInterval = null;
-        this.isAnimating = false;
+        this.channels = {
+            left: new MeterChannel(),
+            right: new MeterChannel()
+        };
+        this.isClipped = false;
         this.render();
+        this.setupEventListeners();
     }
 
     render() {
         this.element.innerHTML = `
             <div class="vu-meter" id="vu-meter">
-                <div class="vu-meter__level" style="height: ${this.level}%"></div>
+                <button class="vu-meter__clip" data-vu-clip title="Clip indicator - click to reset"></button>
+                <div class="vu-meter__channels">
+                    ${['left', 'right'].map(channel => `
+                        <div class="vu-meter__channel" data-vu-channel="${channel}">
+                            <div class="vu-meter__level"></div>
+                            <div class="vu-meter__peak"></div>
+                        </div>
+                    `).join('')}
+                </div>
             </div>
             <div class="vu-meter__label">L&nbsp;&nbsp;R</div>
         `;
+        this.updateDisplay();
     }
 
-    startAnimation() {
-        if (this.isAnimating) return;
-
-        this.isAnimating = true;
-        console.log('VU meter animation started');
-
-        // Start the animation interval
-        this.animationInterval = setInterval(() => {
-            // Only animate when playing - the level will be set externally
-            if (this.level === 0) {
-                // Fallback animation when no external level is set
-                this.level = Math.random() * 30; // Low level when not playing
+    setupEventListeners() {
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-vu-clip]')) {
+                this.isClipped = false;
+                this.updateDisplay();
             }
-            this.render();
-        }, 50); // Faster update rate for smoother animation
+        });
     }
 
-    stopAnimation() {
-        if (!this.isAnimating) return;
-
-        this.isAnimating = false;
-        this.level = 0;
-
-        if (this.animationInterval) {
-            clearInterval(this.animationInterval);
-            this.animationInterval = null;
+    // Levels are linear amplitudes per channel; the clip light latches until reset
+    setLevels({ left, right }) {
+        const now = performance.now();
+        this.channels.left.update(left, now);
+        this.channels.right.update(right, now);
+        if (left >= 1 || right >= 1) {
+            this.isClipped = true;
         }
-
-        this.render();
-        console.log('VU meter animation stopped');
+        this.updateDisplay();
     }
 
-    setLevel(level) {
-        this.level = Math.max(0, Math.min(100, level));
-        // Don't render here - let the animation interval handle it
+    updateDisplay() {
+        Object.entries(this.channels).forEach(([name, channel]) => {
+            const channelElement = this.element.querySelector(`[data-vu-channel="${name}"]`);
+            channelElement.querySelector('.vu-meter__level').style.height = `${channel.getLevelPercent()}%`;
+            const peak = channelElement.querySelector('.vu-meter__peak');
+            peak.style.bottom = `${channel.getPeakPercent()}%`;
+            peak.hidden = !channel.hasPeak();
+        });
+        this.element.querySelector('[data-vu-clip]').classList.toggle('vu-meter__clip--active', this.isClipped);
     }
 
-    destroy() {
-        this.stopAnimation();
-        super.destroy();
+    // Back to silence with peaks and the clip light cleared, e.g. when playback stops
+    reset() {
+        Object.values(this.channels).forEach(channel => channel.reset());
+        this.isClipped = false;
+        this.updateDisplay();
     }
 }
 
@@ -2028,10 +3012,13 @@ class AssetPreviewComponent extends Component {
     init() {
         this.selectedAsset = null;
         this.currentProject = null;
+        this.currentTime = 0;
+        this.visualFrameId = null;
         this.render();
     }
 
     render() {
+        this.stopVisual();
         this.element.innerHTML = `
             <div class="asset-preview__header">
                 <span>👁️</span>
@@ -2041,6 +3028,9 @@ class AssetPreviewComponent extends Component {
                 ${this.renderContent()}
             </div>
         `;
+        if (this.selectedAsset?.type === 'visuals') {
+            this.startVisual();
+        }
     }
 
     renderContent() {
@@ -2068,26 +3058,68 @@ class AssetPreviewComponent extends Component {
     }
 
     renderVisual() {
-        const color = this.selectedAsset.placeholder || '#6b7280';
         return `
-            <div class="asset-preview__visual" style="background: linear-gradient(135deg, ${color} 0%, ${color}dd 100%);">
-                <div class="asset-preview__visual-placeholder">🖼️</div>
+            <div class="asset-preview__visual">
+                <canvas class="asset-preview__canvas"></canvas>
+                <div class="asset-preview__visual-type">${this.selectedAsset.visualType}</div>
             </div>
         `;
     }
 
-    renderAudio() {
-        const barCount = 32;
-        const bars = [];
-        for (let i = 0; i < barCount; i++) {
-            const height = Math.random() * 70 + 30; // 30-100%
-            bars.push(`<div class="asset-preview__waveform-bar" style="height: ${height}%"></div>`);
+    // Redrawn every frame: a free-running loop on its own, locked to the playhead
+    // while the playhead is inside one of the clip's placements
+    startVisual() {
+        const context = prepareVisualCanvas(this.element.querySelector('.asset-preview__canvas'));
+        const loopStart = performance.now();
+
+        const draw = () => {
+            const { bpm } = this.currentProject;
+            const loopBeat = secondsToBeats((performance.now() - loopStart) / 1000, bpm) % this.selectedAsset.duration;
+            const beat = this.getPlayheadBeatInVisual() ?? loopBeat;
+            drawVisualFrame(context, this.selectedAsset, beatsToSeconds(beat, bpm), bpm);
+            this.visualFrameId = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+
+    stopVisual() {
+        if (this.visualFrameId === null) return;
+        cancelAnimationFrame(this.visualFrameId);
+        this.visualFrameId = null;
+    }
+
+    // A selected timeline clip is always locked to the playhead, clamped to its
+    // own span; a sidebar clip follows whichever of its placements is playing
+    getPlayheadBeatInVisual() {
+        const asset = this.selectedAsset;
+        if (asset.sourceClipId) {
+            return Math.max(0, Math.min(asset.duration, this.currentTime - asset.startTime));
         }
 
+        for (const track of this.currentProject.tracks) {
+            const placement = track.clips.find(clip =>
+                clip.sourceClipId === asset.id && this.currentTime >= clip.startTime && this.currentTime < getClipEndTime(clip));
+            if (placement) return this.currentTime - placement.startTime;
+        }
+        return null;
+    }
+
+    setCurrentTime(time) {
+        this.currentTime = time;
+    }
+
+    renderAudio() {
+        const { previewBars, minBarHeight } = PROJECT_CONFIG.waveform;
+        const color = getWaveformColor(this.selectedAsset.type);
+        const peaks = resamplePeaks(getClipWaveform(this.selectedAsset, this.currentProject), previewBars);
+
         return `
             <div class="asset-preview__audio">
                 <div class="asset-preview__waveform">
-                    ${bars.join('')}
+                    ${peaks.map(peak => `
+                        <div class="asset-preview__waveform-bar"
+                             style="height: ${Math.max(minBarHeight, peak) * 100}%; background-color: ${color}"></div>
+                    `).join('')}
                 </div>
             </div>
         `;
@@ -2129,10 +3161,168 @@ class AssetPreviewComponent extends Component {
     }
 
     destroy() {
+        this.stopVisual();
         super.destroy();
     }
 }
 
+// ===== SONG PERFORMANCE COMPONENT =====
+// Full-screen Record Song performance. The app runs the count-in and the
+// transport and feeds the playhead in; this draws the visuals track, the lyric
+// under the playhead and finally a summary card.
+class SongPerformanceComponent extends Component {
+    init() {
+        this.project = null;
+        this.phase = 'count-in';
+        this.currentLyricId = null;
+        this.render();
+        this.setupEventListeners();
+    }
+
+    render() {
+        this.element.innerHTML = `
+            <canvas class="record-song-overlay__visual"></canvas>
+            <button class="record-song-overlay__close" data-action="close-overlay" title="Stop (Esc)">✕</button>
+            <div class="record-song-overlay__count-in"></div>
+            <div class="record-song-overlay__lyrics"></div>
+            <div class="record-song-overlay__progress">
+                <div class="record-song-overlay__progress-fill"></div>
+            </div>
+            <div class="record-song-overlay__summary" hidden></div>
+        `;
+        this.visualContext = prepareVisualCanvas(this.element.querySelector('.record-song-overlay__visual'));
+        this.clearVisual();
+    }
+
+    setupEventListeners() {
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="restart-performance"]')) {
+                this.element.dispatchEvent(createCustomEvent('performanceRestarted'));
+                return;
+            }
+            if (e.target.closest('[data-action="close-overlay"]')) {
+                this.element.dispatchEvent(createCustomEvent('performanceClosed'));
+            }
+        });
+    }
+
+    setProject(project) {
+        assert(project, 'Song performance needs a project');
+        this.project = project;
+        this.totalBeats = calculateTimelineLength(project).beats;
+
+        // Muted or unsoloed tracks sit the performance out, lyrics and visuals included
+        const { tracks } = project;
+        this.audibleTracks = tracks.filter(track => isTrackAudible(tracks, track));
+        const clips = this.audibleTracks.flatMap(track => track.clips).sort((a, b) => a.startTime - b.startTime);
+        this.lyrics = clips.filter(clip => clip.type === 'lyrics' && clip.text);
+        this.visuals = clips.filter(clip => clip.type === 'visuals');
+    }
+
+    showCountIn(remainingBeats) {
+        this.phase = 'count-in';
+        this.currentLyricId = null;
+        this.element.querySelector('.record-song-overlay__summary').hidden = true;
+        this.element.querySelector('.record-song-overlay__lyrics').innerHTML = '';
+        this.clearVisual();
+
+        const countIn = this.element.querySelector('.record-song-overlay__count-in');
+        countIn.hidden = false;
+        countIn.textContent = remainingBeats;
+        this.setProgress(0);
+    }
+
+    startSong() {
+        this.phase = 'playing';
+        this.element.querySelector('.record-song-overlay__count-in').hidden = true;
+        this.setCurrentTime(0);
+    }
+
+    setCurrentTime(beat) {
+        if (this.phase !== 'playing') return;
+
+        this.drawVisual(beat);
+        this.showLyric(beat);
+        this.setProgress(beat / this.totalBeats * 100);
+    }
+
+    findClipAt(clips, beat) {
+        return clips.find(clip => beat >= clip.startTime && beat < getClipEndTime(clip)) ?? null;
+    }
+
+    drawVisual(beat) {
+        const clip = this.findClipAt(this.visuals, beat);
+        if (!clip) {
+            this.clearVisual();
+            return;
+        }
+        const { bpm } = this.project;
+        drawVisualFrame(this.visualContext, clip, beatsToSeconds(beat - clip.startTime, bpm), bpm);
+    }
+
+    clearVisual() {
+        const { width, height } = this.visualContext.canvas;
+        this.visualContext.fillStyle = '#000';
+        this.visualContext.fillRect(0, 0, width, height);
+    }
+
+    // A fresh element per lyric replays its fade-in
+    showLyric(beat) {
+        const lyric = this.findClipAt(this.lyrics, beat);
+        const lyricId = lyric ? lyric.id : null;
+        if (lyricId === this.currentLyricId) return;
+
+        this.currentLyricId = lyricId;
+        this.element.querySelector('.record-song-overlay__lyrics').innerHTML = lyric
+            ? `<div class="record-song-overlay__lyrics-text">${lyric.text}</div>`
+            : '';
+    }
+
+    setProgress(percent) {
+        this.element.querySelector('.record-song-overlay__progress-fill').style.width = `${Math.min(100, percent)}%`;
+    }
+
+    showSummary() {
+        this.phase = 'summary';
+        this.currentLyricId = null;
+        this.element.querySelector('.record-song-overlay__lyrics').innerHTML = '';
+        this.setProgress(100);
+
+        const { content } = PROJECT_CONFIG;
+        const seconds = Math.round(beatsToSeconds(this.totalBeats, this.project.bpm));
+        const length = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        const tracksHeard = this.audibleTracks.filter(track => track.clips.length > 0).length;
+        const stats = [
+            ['Length', length],
+            ['Tempo', `${this.project.bpm} BPM`],
+            ['Tracks heard', `${tracksHeard} of ${this.project.tracks.length}`],
+            ['Lyric lines', this.lyrics.length],
+            ['Visuals', this.visuals.length]
+        ];
+
+        const summary = this.element.querySelector('.record-song-overlay__summary');
+        summary.innerHTML = `
+            <div class="record-song-summary">
+                <h2 class="record-song-summary__title">🎉 ${this.project.name}</h2>
+                <p class="record-song-summary__subtitle">${content.recordSong.performanceComplete}</p>
+                <dl class="record-song-summary__stats">
+                    ${stats.map(([label, value]) => `
+                        <div class="record-song-summary__stat">
+                            <dt>${label}</dt>
+                            <dd>${value}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+                <div class="record-song-summary__actions">
+                    <button class="record-song-summary__button" data-action="restart-performance">${content.recordSong.performAgain}</button>
+                    <button class="record-song-summary__button record-song-summary__button--secondary" data-action="close-overlay">${content.recordSong.close}</button>
+                </div>
+            </div>
+        `;
+        summary.hidden = false;
+    }
+}
+
 // ===== EXPORTS =====
 export {
     Component,
@@ -2141,6 +3331,9 @@ export {
     TimelineComponent,
     VUMeterComponent,
     RecordingPopupComponent,
+    AutosaveRestoreComponent,
+    ToastComponent,
     VincesNotesComponent,
-    AssetPreviewComponent
+    AssetPreviewComponent,
+    SongPerformanceComponent
 }; 
\ No newline at end of file
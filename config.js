@@ -3,7 +3,7 @@
  * Centralized configuration for all project data and settings
  */
 
-import { assert, getClipEndTime } from './utils.js';
+import { assert, deepFreeze, getClipEndTime } from './utils.js';
 
 // ===== PROJECT CONFIGURATION =====
 export const PROJECT_CONFIG = {
@@ -22,6 +22,8 @@ export const PROJECT_CONFIG = {
         trackHeight: 56,
         trackControlsWidth: 240,
         gridBeatWidth: 40,
+        // Pointer position inside the drag image of sidebar and timeline clips
+        dragImageOffset: 10,
         maxTracksVisible: 5,
         maxTracks: 5,
         vincesNotesHeight: 200,
@@ -76,9 +78,133 @@ export const PROJECT_CONFIG = {
         ]
     },
 
+    // Crash recovery snapshots
+    autosave: {
+        storageKeyPrefix: 'assembly.autosave.',
+        maxSnapshotsPerProject: 10
+    },
+
+    // Timeline length
+    timeline: {
+        // Shortest timeline in bars, however short the arrangement
+        minBars: 2
+    },
+
+    // Timeline zoom in pixels per beat; gridBeatWidth is the starting level.
+    // The ruler labels bars only when beats get too short to read, and adds
+    // half-beat labels once there is room for them.
+    zoom: {
+        levels: [10, 15, 20, 30, 40, 60, 80, 120, 160],
+        beatLabelMinPixels: 24,
+        subBeatLabelMinPixels: 96
+    },
+
+    // Every track has a volume parameter alongside the effects its clips bring
+    mixer: {
+        defaultVolume: 80,
+        // Knobs a new track of the type starts with, before any clip brings its own
+        trackTypeEffects: [
+            { trackType: 'instrument', effect: { type: 'reverb', value: 50, label: 'Reverb' } },
+            { trackType: 'lyrics', effect: { type: 'vocoder', value: 50, label: 'Vocoder' } }
+        ],
+        // Stereo position per synthesized clip type, -1 (left) to 1 (right)
+        pan: {
+            melody: 0.2,
+            instrument: -0.3,
+            drums: 0,
+            bass: 0,
+            ambient: -0.15,
+            field: 0.4
+        }
+    },
+
+    // Clip waveforms: peak points per beat, bars in the asset preview, and the
+    // narrowest a quiet passage is drawn so it never disappears entirely
+    waveform: {
+        pointsPerBeat: 4,
+        previewBars: 48,
+        minBarHeight: 0.12,
+        nonAudioTypes: ['lyrics', 'visuals', 'text']
+    },
+
+    // Procedural stand-ins for visuals clips, drawn at this canvas resolution
+    visuals: {
+        types: ['image', 'video'],
+        canvasWidth: 480,
+        canvasHeight: 270
+    },
+
+    // Master meter: levels in dBFS, the meter's floor shows as empty
+    metering: {
+        floorDb: -48,
+        peakHoldMs: 1500,
+        fallDbPerSecond: 36,
+        // Reverb is approximated as this share of the dry signal times the send
+        reverbShare: 0.3
+    },
+
+    // Procedural playback; scheduling starts this far ahead of the transport so the
+    // first notes aren't clipped, from the beat the transport will have reached by then
+    audio: {
+        lookaheadSeconds: 0.05,
+        masterGain: 0.8,
+        reverbSeconds: 2,
+        mixdownSampleRate: 44100,
+        mixdownBitDepths: [16, 24]
+    },
+
+    // Drawing an automation lane with snapping off still places at most one point per step
+    automation: {
+        drawResolution: 0.25
+    },
+
+    // Song sections ruler markers can name; a section runs from its marker to the next one
+    sections: {
+        types: [
+            { id: 'intro', label: 'Intro', color: '#a78bfa' },
+            { id: 'verse', label: 'Verse', color: '#34d399' },
+            { id: 'chorus', label: 'Chorus', color: '#f472b6' },
+            { id: 'bridge', label: 'Bridge', color: '#fbbf24' },
+            { id: 'outro', label: 'Outro', color: '#60a5fa' }
+        ]
+    },
+
+    // Drop snapping grids; step sizes are in beats, 'bar' follows the time signature
+    snap: {
+        defaultGrid: 'beat',
+        grids: [
+            { id: 'bar', label: 'Bar' },
+            { id: 'beat', label: 'Beat', beats: 1 },
+            { id: 'half', label: '1/2', beats: 0.5 },
+            { id: 'quarter', label: '1/4', beats: 0.25 },
+            { id: 'off', label: 'Off', beats: 0 }
+        ]
+    },
+
+    // On-screen notifications
+    toasts: {
+        durationMs: 4000,
+        maxVisible: 3
+    },
+
+    // Undo/redo
+    history: {
+        maxEntries: 100
+    },
+
     // Menu configuration
     menu: {
-        items: []
+        items: [
+            // Dropdown items render their panel in HeaderComponent.renderDropdownContent
+            { id: 'load', label: 'Load ▼', dropdown: true },
+            { id: 'open', label: 'Open' },
+            { id: 'save', label: 'Save' },
+            { id: 'reset', label: 'Reset puzzle' },
+            { id: 'undo', label: 'Undo', title: 'Undo (Ctrl+Z)' },
+            { id: 'redo', label: 'Redo', title: 'Redo (Ctrl+Shift+Z)' },
+            { id: 'history', label: 'History ▼', dropdown: true },
+            { id: 'export', label: 'Export ▼', dropdown: true }
+        ]
     },
 
     // UI Content and Labels
@@ -131,9 +257,38 @@ export const PROJECT_CONFIG = {
             defaultTrackName: 'New Track'
         },
 
+        // Confirmation dialogs
+        dialogs: {
+            unsavedChanges: 'You have unsaved changes in "{projectName}". Discard them?',
+            resetProject: 'Reset "{projectName}" to its starting state? Your arrangement and recordings will be lost.'
+        },
+
+        // Reasons shown when a drop is refused for something other than the placement rules
+        dropRejections: {
+            inactiveSlot: 'This slot is inactive. Enable it before adding clips.',
+            occupied: '{trackName} already has a clip there. Drag it out first.',
+            quotaReached: '{clipName} is already in the arrangement as often as this project allows ({maxClipUses}).'
+        },
+        markerOccupied: 'There is already a {sectionName} marker on that beat.',
+        recordSong: {
+            performanceComplete: 'Performance complete',
+            performAgain: 'Perform again',
+            close: 'Close'
+        },
+        mixdown: {
+            rendering: 'Rendering mixdown…',
+            exported: 'Exported {fileName}',
+            failed: 'Mixdown failed: {reason}'
+        },
+        projectFile: {
+            openFailed: 'Could not open {fileName}: {reason}'
+        },
+        autosaveFailed: 'Autosave failed, most likely because browser storage is full. Save the project to a file to keep your work.',
+
         // File extensions
         fileExtensions: {
-            project: '.ass'
+            project: '.ass',
+            mixdown: '-mixdown.wav'
         },
 
         // Default values
@@ -146,8 +301,35 @@ export const PROJECT_CONFIG = {
     }
 };
 
+// Effects a track starts with, in the puzzle data and when added by the player:
+// volume, plus the knobs its type carries
+export const createDefaultTrackEffects = (trackType) => {
+    assert(trackType, 'Track type is required for its default effects');
+    return [
+        { type: 'volume', value: PROJECT_CONFIG.mixer.defaultVolume, label: 'Volume', automation: [] },
+        ...PROJECT_CONFIG.mixer.trackTypeEffects
+            .filter(entry => entry.trackType === trackType)
+            .map(entry => ({ ...entry.effect, automation: [] }))
+    ];
+};
+
 // ===== PROJECT DATA =====
-export const PROJECT_DATA = {
+// Immutable puzzle templates - a session always edits a copy made by createProjectInstance.
+// Placement is pure data, evaluated by placement-rules.js: each track lists the
+// clip types it accepts ('*' for any) plus its tags (often none), and placementRules
+// restrict clip types to tracks carrying a tag. clipsPerTrack is 'single' (a drop
+// replaces the track's clip) or 'multiple' (clips are added, overlaps refused).
+// maxClipUses caps how many times one sidebar clip may be placed, null for no cap.
+// extraBars is empty room the player added below the arrangement, and loopRegion
+// the beats the transport repeats while looping (first two bars by default).
+// markers are the player's section markers, { id, type, beat } sorted by beat.
+// Tracks carry their mixer muted/soloed flags; see isTrackAudible in utils.js.
+// Effects are { type, value 0-100, label } parameters: clips bring theirs onto a
+// track when placed, and the track header knobs edit the track's copy. Every
+// track has a volume effect, and track effects also carry an automation
+// envelope, empty while the knob alone sets the value (see automation.js).
+// Tracks start from createDefaultTrackEffects, so the defaults live in one place.
+export const PROJECT_DATA = deepFreeze({
     // Single project with 4 specific slots
     main: {
         id: 'main',
@@ -155,33 +337,59 @@ export const PROJECT_DATA = {
         bpm: 120,
         timeSignature: '4/4',
         maxActiveTracks: 4,
+        extraBars: 0,
+        markers: [],
+        loopRegion: { start: 0, end: 8 },
+        clipsPerTrack: 'single',
+        maxClipUses: null,
+        placementRules: [],
         tracks: [
             {
                 id: 'melody-track',
                 name: 'Melody',
                 type: 'melody',
+                accepts: ['melody'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('melody'),
                 position: 0
             },
             {
                 id: 'instrument-track',
                 name: 'Instrument',
                 type: 'instrument',
+                accepts: ['instrument'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('instrument'),
                 position: 1
             },
             {
                 id: 'lyrics-track',
                 name: 'Lyrics',
                 type: 'lyrics',
+                accepts: ['lyrics'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('lyrics'),
                 position: 2
             },
             {
                 id: 'visuals-track',
                 name: 'Visuals',
                 type: 'visuals',
+                accepts: ['visuals'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('visuals'),
                 position: 3
             }
         ],
@@ -192,21 +400,24 @@ export const PROJECT_DATA = {
                 name: 'Uplifting Melody',
                 duration: 8,
                 type: 'melody',
-                vincesNotes: "I wrote this one the morning after Dad called. Couldn't sleep, so I sat at the piano until sunrise. Each note climbs higher, like I'm trying to reach something just out of grasp. Maybe hope? I don't know. But it feels right."
+                vincesNotes: "I wrote this one the morning after Dad called. Couldn't sleep, so I sat at the piano until sunrise. Each note climbs higher, like I'm trying to reach something just out of grasp. Maybe hope? I don't know. But it feels right.",
+                effects: []
             },
             {
                 id: 'melody-2',
                 name: 'Melancholic Theme',
                 duration: 9,
                 type: 'melody',
-                vincesNotes: "This melody haunts me. It showed up in a dream last week and I've been chasing it ever since. There's something unfinished about it, something that aches. Sometimes I wonder if all my best work comes from the parts of me I'm afraid to look at."
+                vincesNotes: "This melody haunts me. It showed up in a dream last week and I've been chasing it ever since. There's something unfinished about it, something that aches. Sometimes I wonder if all my best work comes from the parts of me I'm afraid to look at.",
+                effects: []
             },
             {
                 id: 'melody-3',
                 name: 'Rhythmic Hook',
                 duration: 7,
                 type: 'melody',
-                vincesNotes: "Finally! A hook that doesn't overthink itself. I've been so stuck in my own head lately, afraid nothing I make matters. But this one? It's simple, confident. The kind of thing people hum without realizing. Maybe I should trust the simple stuff more."
+                vincesNotes: "Finally! A hook that doesn't overthink itself. I've been so stuck in my own head lately, afraid nothing I make matters. But this one? It's simple, confident. The kind of thing people hum without realizing. Maybe I should trust the simple stuff more.",
+                effects: []
             },
 
             // Instrument options (3)
@@ -284,7 +495,8 @@ export const PROJECT_DATA = {
                 type: 'visuals',
                 visualType: 'video',
                 placeholder: '#ff6b35',
-                vincesNotes: "Shot this footage on a morning I almost gave up. I'd sent out fifty demos and heard nothing back. Then I saw this sunrise and something clicked. There's this Japanese concept, 'mono no aware' - the beauty of impermanence. That's what this is."
+                vincesNotes: "Shot this footage on a morning I almost gave up. I'd sent out fifty demos and heard nothing back. Then I saw this sunrise and something clicked. There's this Japanese concept, 'mono no aware' - the beauty of impermanence. That's what this is.",
+                effects: []
             },
             {
                 id: 'visual-2',
@@ -293,7 +505,8 @@ export const PROJECT_DATA = {
                 type: 'visuals',
                 visualType: 'video',
                 placeholder: '#4a5568',
-                vincesNotes: "I feel most alive in cities at night. All these people, each carrying their own stories, their own struggles. The rain makes everything look like a painting. Sometimes I walk for hours just watching, trying to understand why beauty and loneliness feel so connected."
+                vincesNotes: "I feel most alive in cities at night. All these people, each carrying their own stories, their own struggles. The rain makes everything look like a painting. Sometimes I walk for hours just watching, trying to understand why beauty and loneliness feel so connected.",
+                effects: []
             },
             {
                 id: 'visual-3',
@@ -302,7 +515,8 @@ export const PROJECT_DATA = {
                 type: 'visuals',
                 visualType: 'video',
                 placeholder: '#e53e3e',
-                vincesNotes: "This is the dream. This exact energy. Everyone moving as one, losing themselves in the music. I've only played for small crowds, maybe thirty people max. But I close my eyes and imagine this. The lights, the roar, the connection. One day. It has to be one day."
+                vincesNotes: "This is the dream. This exact energy. Everyone moving as one, losing themselves in the music. I've only played for small crowds, maybe thirty people max. But I close my eyes and imagine this. The lights, the roar, the connection. One day. It has to be one day.",
+                effects: []
             }
         ],
         description: 'Assemble your song by selecting one asset from each category.'
@@ -315,12 +529,23 @@ export const PROJECT_DATA = {
         bpm: 110,
         timeSignature: '6/8',
         maxActiveTracks: 4,
+        extraBars: 0,
+        markers: [],
+        loopRegion: { start: 0, end: 12 },
+        clipsPerTrack: 'single',
+        maxClipUses: null,
+        placementRules: [],
         tracks: [
             {
                 id: 'drums',
                 name: 'Drums',
                 type: 'drums',
+                accepts: ['drums'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('drums'),
                 position: 0
 
             },
@@ -328,50 +553,65 @@ export const PROJECT_DATA = {
                 id: 'bass',
                 name: 'Bass',
                 type: 'bass',
+                accepts: ['bass'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('bass'),
                 position: 1
             },
             {
                 id: 'guitar',
                 name: 'Guitar',
                 type: 'guitar',
+                accepts: ['guitar'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('guitar'),
                 position: 2
             },
             {
                 id: 'vocals',
                 name: 'Vocals',
                 type: 'vocals',
+                accepts: ['vocals'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('vocals'),
                 position: 3
             }
         ],
         sidebarClips: [
             // Drum clips
-            { id: 'rock-beat', name: 'Rock Beat', duration: 1, type: 'drums' },
-            { id: 'funk-groove', name: 'Funk Groove', duration: 8, type: 'drums' },
+            { id: 'rock-beat', name: 'Rock Beat', duration: 1, type: 'drums', effects: [] },
+            { id: 'funk-groove', name: 'Funk Groove', duration: 8, type: 'drums', effects: [] },
 
             // Bass clips
-            { id: 'walking-bass', name: 'Walking Bass', duration: 12, type: 'bass' },
-            { id: 'synth-bass', name: 'Synth Bass', duration: 3, type: 'bass' },
+            { id: 'walking-bass', name: 'Walking Bass', duration: 12, type: 'bass', effects: [] },
+            { id: 'synth-bass', name: 'Synth Bass', duration: 3, type: 'bass', effects: [] },
 
             // Guitar clips
-            { id: 'clean-chords', name: 'Clean Chords', duration: 16, type: 'guitar' },
-            { id: 'distorted-riff', name: 'Distorted Riff', duration: 2, type: 'guitar' },
+            { id: 'clean-chords', name: 'Clean Chords', duration: 16, type: 'guitar', effects: [] },
+            { id: 'distorted-riff', name: 'Distorted Riff', duration: 2, type: 'guitar', effects: [] },
 
             // Vocal clips
-            { id: 'lead-take-1', name: 'Lead Take 1', duration: 10, type: 'vocals' },
-            { id: 'lead-take-2', name: 'Lead Take 2', duration: 4, type: 'vocals' },
+            { id: 'lead-take-1', name: 'Lead Take 1', duration: 10, type: 'vocals', effects: [] },
+            { id: 'lead-take-2', name: 'Lead Take 2', duration: 4, type: 'vocals', effects: [] },
 
             // Lyrics
-            { id: 'verse-1', name: 'Verse 1', duration: 8, type: 'lyrics', text: 'We are the rhythm, we are the sound' },
-            { id: 'chorus-1', name: 'Chorus Hook', duration: 4, type: 'lyrics', text: 'Feel the beat inside your soul' },
-            { id: 'bridge-1', name: 'Bridge', duration: 6, type: 'lyrics', text: 'Break it down now, take it slow' },
+            { id: 'verse-1', name: 'Verse 1', duration: 8, type: 'lyrics', text: 'We are the rhythm, we are the sound', effects: [] },
+            { id: 'chorus-1', name: 'Chorus Hook', duration: 4, type: 'lyrics', text: 'Feel the beat inside your soul', effects: [] },
+            { id: 'bridge-1', name: 'Bridge', duration: 6, type: 'lyrics', text: 'Break it down now, take it slow', effects: [] },
 
             // Visuals
-            { id: 'stage-lights', name: 'Stage Lights', duration: 12, type: 'visuals', visualType: 'video', placeholder: '#ef4444' },
-            { id: 'band-photo', name: 'Band Photo', duration: 8, type: 'visuals', visualType: 'image', placeholder: '#f59e0b' },
-            { id: 'concert-crowd', name: 'Concert Crowd', duration: 10, type: 'visuals', visualType: 'video', placeholder: '#10b981' }
+            { id: 'stage-lights', name: 'Stage Lights', duration: 12, type: 'visuals', visualType: 'video', placeholder: '#ef4444', effects: [] },
+            { id: 'band-photo', name: 'Band Photo', duration: 8, type: 'visuals', visualType: 'image', placeholder: '#f59e0b', effects: [] },
+            { id: 'concert-crowd', name: 'Concert Crowd', duration: 10, type: 'visuals', visualType: 'video', placeholder: '#10b981', effects: [] }
         ],
         description: 'Player chooses one clip per track to build a band arrangement.'
     },
@@ -383,68 +623,99 @@ export const PROJECT_DATA = {
         bpm: 70,
         timeSignature: '7/8',
         maxActiveTracks: 5,
+        extraBars: 0,
+        markers: [],
+        loopRegion: { start: 0, end: 14 },
+        clipsPerTrack: 'multiple',
+        maxClipUses: null,
         allowTrackManagement: true,
+        placementRules: [],
         tracks: [
             {
                 id: 'track-1',
                 name: 'Track 1',
                 type: 'custom',
+                accepts: ['*'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 0
             },
             {
                 id: 'track-2',
                 name: 'Track 2',
                 type: 'custom',
+                accepts: ['*'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 1
             },
             {
                 id: 'track-3',
                 name: 'Track 3',
                 type: 'custom',
+                accepts: ['*'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 2
             },
             {
                 id: 'track-4',
                 name: 'Track 4',
                 type: 'custom',
+                accepts: ['*'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 3
             },
             {
                 id: 'track-5',
                 name: 'Track 5',
                 type: 'custom',
+                accepts: ['*'],
+                tags: [],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 4
             }
         ],
         sidebarClips: [
             // Ambient clips
-            { id: 'ambient-pad', name: 'Ambient Pad', duration: 16, type: 'ambient' },
-            { id: 'tape-loop', name: 'Tape Loop', duration: 12, type: 'ambient' },
-            { id: 'synth-texture', name: 'Synth Texture', duration: 18, type: 'synth' },
+            { id: 'ambient-pad', name: 'Ambient Pad', duration: 16, type: 'ambient', effects: [] },
+            { id: 'tape-loop', name: 'Tape Loop', duration: 12, type: 'ambient', effects: [] },
+            { id: 'synth-texture', name: 'Synth Texture', duration: 18, type: 'synth', effects: [] },
 
             // Guitar clips
-            { id: 'guitar-phrase-1', name: 'Guitar Phrase 1', duration: 5, type: 'guitar' },
-            { id: 'guitar-phrase-2', name: 'Guitar Phrase 2', duration: 8, type: 'guitar' },
+            { id: 'guitar-phrase-1', name: 'Guitar Phrase 1', duration: 5, type: 'guitar', effects: [] },
+            { id: 'guitar-phrase-2', name: 'Guitar Phrase 2', duration: 8, type: 'guitar', effects: [] },
 
             // Field recording clips
-            { id: 'birds', name: 'Birds', duration: 14, type: 'field' },
-            { id: 'rain', name: 'Rain', duration: 20, type: 'field' },
+            { id: 'birds', name: 'Birds', duration: 14, type: 'field', effects: [] },
+            { id: 'rain', name: 'Rain', duration: 20, type: 'field', effects: [] },
 
             // Lyrics
-            { id: 'spoken-word-1', name: 'Spoken Word 1', duration: 9, type: 'lyrics', text: 'Silence speaks louder than words ever could' },
-            { id: 'whisper-1', name: 'Whispered Poetry', duration: 7, type: 'lyrics', text: 'In the space between breaths, we find meaning' },
-            { id: 'ambient-vocals', name: 'Ambient Vocals', duration: 15, type: 'lyrics', text: 'Ooooh... ahhhhh... hmmmm...' },
+            { id: 'spoken-word-1', name: 'Spoken Word 1', duration: 9, type: 'lyrics', text: 'Silence speaks louder than words ever could', effects: [] },
+            { id: 'whisper-1', name: 'Whispered Poetry', duration: 7, type: 'lyrics', text: 'In the space between breaths, we find meaning', effects: [] },
+            { id: 'ambient-vocals', name: 'Ambient Vocals', duration: 15, type: 'lyrics', text: 'Ooooh... ahhhhh... hmmmm...', effects: [] },
 
             // Visuals
-            { id: 'sunset-time', name: 'Sunset Timelapse', duration: 12, type: 'visuals', visualType: 'video', placeholder: '#fb923c' },
-            { id: 'abstract-waves', name: 'Abstract Waves', duration: 8, type: 'visuals', visualType: 'image', placeholder: '#3b82f6' },
-            { id: 'city-lights', name: 'City Lights', duration: 10, type: 'visuals', visualType: 'video', placeholder: '#fbbf24' },
-            { id: 'nature-scene', name: 'Nature Scene', duration: 14, type: 'visuals', visualType: 'image', placeholder: '#84cc16' }
+            { id: 'sunset-time', name: 'Sunset Timelapse', duration: 12, type: 'visuals', visualType: 'video', placeholder: '#fb923c', effects: [] },
+            { id: 'abstract-waves', name: 'Abstract Waves', duration: 8, type: 'visuals', visualType: 'image', placeholder: '#3b82f6', effects: [] },
+            { id: 'city-lights', name: 'City Lights', duration: 10, type: 'visuals', visualType: 'video', placeholder: '#fbbf24', effects: [] },
+            { id: 'nature-scene', name: 'Nature Scene', duration: 14, type: 'visuals', visualType: 'image', placeholder: '#84cc16', effects: [] }
         ],
         description: 'Player can freely add/remove tracks and clips, move and resize as desired.'
     },
@@ -456,73 +727,113 @@ export const PROJECT_DATA = {
         bpm: 120,
         timeSignature: '4/4',
         maxActiveTracks: 5,
+        extraBars: 0,
+        markers: [],
+        loopRegion: { start: 0, end: 8 },
+        clipsPerTrack: 'single',
+        maxClipUses: 1,
+        // Clip types that only fit tracks carrying the given tag
+        placementRules: [
+            { clipType: 'viola', requiresTrackTag: 'viola' },
+            { clipType: 'vince', requiresTrackTag: 'vince' }
+        ],
         tracks: [
             {
                 id: 'track-1',
                 name: 'Vince 1',
                 type: 'custom',
+                accepts: ['*'],
+                tags: ['vince'],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 0
             },
             {
                 id: 'track-2',
                 name: 'Vince 2',
                 type: 'custom',
+                accepts: ['*'],
+                tags: ['vince'],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 1
             },
             {
                 id: 'track-3',
                 name: 'Vince 3',
                 type: 'custom',
+                accepts: ['*'],
+                tags: ['vince'],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 2
             },
             {
                 id: 'track-4',
                 name: 'Viola 1',
                 type: 'custom',
+                accepts: ['*'],
+                tags: ['viola'],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 3
             },
             {
-                id: 'track-5',
+                id: 'track-6',
                 name: 'Viola 2',
                 type: 'custom',
+                accepts: ['*'],
+                tags: ['viola'],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 4
             },
             {
-                id: 'track-5',
+                id: 'track-7',
                 name: 'Viola 3',
                 type: 'custom',
+                accepts: ['*'],
+                tags: ['viola'],
                 clips: [],
+                muted: false,
+                soloed: false,
+                effects: createDefaultTrackEffects('custom'),
                 position: 4
             }
         ],
         sidebarClips: [
             // Vince clips
-            { id: 'vince-recording-1', name: 'Vince Recording 1', duration: null, type: 'vince', needsRecording: true },
-            { id: 'vince-recording-2', name: 'Vince Recording 2', duration: null, type: 'vince', needsRecording: true },
+            { id: 'vince-recording-1', name: 'Vince Recording 1', duration: null, type: 'vince', needsRecording: true, effects: [] },
+            { id: 'vince-recording-2', name: 'Vince Recording 2', duration: null, type: 'vince', needsRecording: true, effects: [] },
 
             // Viola clips
-            { id: 'viola-fragment-1', name: 'Viola Fragment 1', duration: 2, type: 'viola' },
-            { id: 'viola-fragment-2', name: 'Viola Fragment 2', duration: 3, type: 'viola' },
-            { id: 'viola-fragment-3', name: 'Viola Fragment 3', duration: 1.5, type: 'viola' },
+            { id: 'viola-fragment-1', name: 'Viola Fragment 1', duration: 2, type: 'viola', effects: [] },
+            { id: 'viola-fragment-2', name: 'Viola Fragment 2', duration: 3, type: 'viola', effects: [] },
+            { id: 'viola-fragment-3', name: 'Viola Fragment 3', duration: 1.5, type: 'viola', effects: [] },
 
             // Lyrics
-            { id: 'song-verse', name: 'Verse Lines', duration: 8, type: 'lyrics', text: 'When the music fades and silence falls, we remember why we started' },
-            { id: 'song-chorus', name: 'Chorus', duration: 6, type: 'lyrics', text: 'This is the song that never ends, it goes on and on my friend' },
-            { id: 'song-outro', name: 'Final Words', duration: 4, type: 'lyrics', text: 'And in the end, the love you take is equal to the love you make' },
+            { id: 'song-verse', name: 'Verse Lines', duration: 8, type: 'lyrics', text: 'When the music fades and silence falls, we remember why we started', effects: [] },
+            { id: 'song-chorus', name: 'Chorus', duration: 6, type: 'lyrics', text: 'This is the song that never ends, it goes on and on my friend', effects: [] },
+            { id: 'song-outro', name: 'Final Words', duration: 4, type: 'lyrics', text: 'And in the end, the love you take is equal to the love you make', effects: [] },
 
             // Visuals
-            { id: 'album-art', name: 'Album Art', duration: 10, type: 'visuals', visualType: 'image', placeholder: '#a855f7' },
-            { id: 'music-video', name: 'Music Video Clip', duration: 12, type: 'visuals', visualType: 'video', placeholder: '#ec4899' },
-            { id: 'vinyl-spin', name: 'Vinyl Spinning', duration: 16, type: 'visuals', visualType: 'video', placeholder: '#14b8a6' }
+            { id: 'album-art', name: 'Album Art', duration: 10, type: 'visuals', visualType: 'image', placeholder: '#a855f7', effects: [] },
+            { id: 'music-video', name: 'Music Video Clip', duration: 12, type: 'visuals', visualType: 'video', placeholder: '#ec4899', effects: [] },
+            { id: 'vinyl-spin', name: 'Vinyl Spinning', duration: 16, type: 'visuals', visualType: 'video', placeholder: '#14b8a6', effects: [] }
         ],
         description: 'Arrange clips to create the final song structure.'
     }
-};
+});
 
 // ===== RECORDING VARIANTS FOR VINCE CLIPS =====
 export const VINCE_RECORDING_VARIANTS = {
@@ -660,12 +971,6 @@ export const CLIP_CATEGORIES = [
         icon: '🥁',
         color: '#ec4899' // pink-500
     },
-    {
-        id: 'instrument',
-        name: 'Instrument',
-        icon: '🎼',
-        color: '#14b8a6' // teal-500
-    },
     {
         id: 'rhythm',
         name: 'Rhythm',
@@ -724,22 +1029,7 @@ export const validateConfiguration = () => {
     assert(CLIP_CATEGORIES, 'CLIP_CATEGORIES is required');
 
     // Validate all projects
-    Object.entries(PROJECT_DATA).forEach(([key, project]) => {
-        assert(project.id, `Project ${key} must have an id`);
-        assert(project.name, `Project ${key} must have a name`);
-        assert(project.bpm, `Project ${key} must have a bpm`);
-        assert(project.tracks, `Project ${key} must have tracks`);
-        assert(Array.isArray(project.tracks), `Project ${key} tracks must be an array`);
-
-        // Validate all tracks in project
-        project.tracks.forEach((track, index) => {
-            assert(track.id, `Track ${index} in project ${key} must have an id`);
-            assert(track.name, `Track ${index} in project ${key} must have a name`);
-            assert(track.type, `Track ${index} in project ${key} must have a type`);
-            assert(track.clips, `Track ${index} in project ${key} must have clips`);
-            assert(Array.isArray(track.clips), `Track ${index} in project ${key} clips must be an array`);
-        });
-    });
+    Object.entries(PROJECT_DATA).forEach(([key, project]) => validateProject(project, key));
 
     // Validate clip categories
     CLIP_CATEGORIES.forEach((category, index) => {
@@ -752,15 +1042,122 @@ export const validateConfiguration = () => {
     console.log('✅ Configuration validation passed');
 };
 
+const validateEffects = (effects, owner) => {
+    assert(Array.isArray(effects), `${owner} effects must be an array`);
+    effects.forEach(effect => {
+        assert(effect.type && effect.label, `${owner} has an effect without a type or label`);
+        assert(typeof effect.value === 'number' && effect.value >= 0 && effect.value <= 100, `${owner} ${effect.type} value must be 0-100`);
+    });
+};
+
+// Track effects are clip effects plus their automation envelope
+const validateTrackEffects = (effects, owner) => {
+    validateEffects(effects, owner);
+    effects.forEach(effect => {
+        assert(Array.isArray(effect.automation), `${owner} ${effect.type} automation must be an array`);
+        effect.automation.forEach((point, index) => {
+            assert(typeof point.beat === 'number' && point.beat >= 0, `${owner} ${effect.type} automation point ${index} needs a beat`);
+            assert(typeof point.value === 'number' && point.value >= 0 && point.value <= 100, `${owner} ${effect.type} automation point ${index} value must be 0-100`);
+            assert(index === 0 || point.beat > effect.automation[index - 1].beat, `${owner} ${effect.type} automation points must be in beat order`);
+        });
+    });
+};
+
+// Shared by the startup config check and the .ass file loader, so a saved
+// project has to satisfy exactly the same shape as a built-in one
+export const validateProject = (project, key) => {
+    assert(project, `Project ${key} is required`);
+    assert(project.id, `Project ${key} must have an id`);
+    assert(project.name, `Project ${key} must have a name`);
+    assert(typeof project.bpm === 'number' && project.bpm > 0, `Project ${key} must have a positive numeric bpm`);
+    parseTimeSignature(project.timeSignature);
+    assert(project.tracks, `Project ${key} must have tracks`);
+    assert(Array.isArray(project.tracks), `Project ${key} tracks must be an array`);
+    assert(Array.isArray(project.sidebarClips), `Project ${key} sidebarClips must be an array`);
+    assert(Array.isArray(project.placementRules), `Project ${key} placementRules must be an array`);
+    assert(['single', 'multiple'].includes(project.clipsPerTrack), `Project ${key} clipsPerTrack must be 'single' or 'multiple'`);
+    assert(project.maxClipUses === null || (Number.isInteger(project.maxClipUses) && project.maxClipUses > 0),
+        `Project ${key} maxClipUses must be a positive integer or null`);
+    assert(Number.isInteger(project.extraBars) && project.extraBars >= 0, `Project ${key} extraBars must be a non-negative integer`);
+    assert(project.loopRegion && project.loopRegion.start >= 0 && project.loopRegion.end > project.loopRegion.start,
+        `Project ${key} loopRegion must have 0 <= start < end`);
+
+    assert(Array.isArray(project.markers), `Project ${key} markers must be an array`);
+    const markerBeats = new Set();
+    project.markers.forEach((marker, index) => {
+        assert(marker.id, `Marker ${index} in project ${key} must have an id`);
+        assert(getSectionType(marker.type), `Marker ${marker.id} in project ${key} has unknown section type: ${marker.type}`);
+        assert(Number.isInteger(marker.beat) && marker.beat >= 0, `Marker ${marker.id} in project ${key} must sit on a whole beat`);
+        assert(!markerBeats.has(marker.beat), `Project ${key} has two markers on beat ${marker.beat}`);
+        markerBeats.add(marker.beat);
+    });
+
+    project.placementRules.forEach((rule, index) => {
+        assert(rule.clipType, `Placement rule ${index} in project ${key} must have a clipType`);
+        assert(rule.requiresTrackTag, `Placement rule ${index} in project ${key} must have a requiresTrackTag`);
+    });
+
+    // Validate all tracks in project
+    const trackIds = new Set();
+    project.tracks.forEach((track, index) => {
+        assert(track.id, `Track ${index} in project ${key} must have an id`);
+        assert(!trackIds.has(track.id), `Project ${key} has two tracks with id ${track.id}`);
+        trackIds.add(track.id);
+        assert(track.name, `Track ${index} in project ${key} must have a name`);
+        assert(track.type, `Track ${index} in project ${key} must have a type`);
+        assert(track.clips, `Track ${index} in project ${key} must have clips`);
+        assert(Array.isArray(track.clips), `Track ${index} in project ${key} clips must be an array`);
+        assert(Array.isArray(track.accepts) && track.accepts.length > 0, `Track ${track.id} in project ${key} must list the clip types it accepts`);
+        // Untagged tracks carry an empty list and never satisfy a tag rule
+        assert(Array.isArray(track.tags), `Track ${track.id} in project ${key} tags must be an array`);
+        assert(typeof track.muted === 'boolean' && typeof track.soloed === 'boolean', `Track ${track.id} in project ${key} must have boolean muted and soloed flags`);
+        validateTrackEffects(track.effects, `Track ${track.id} in project ${key}`);
+        assert(track.effects.some(effect => effect.type === 'volume'), `Track ${track.id} in project ${key} must have a volume effect`);
+
+        track.clips.forEach((clip, clipIndex) => {
+            assert(clip.id, `Clip ${clipIndex} on track ${track.id} in project ${key} must have an id`);
+            assert(clip.sourceClipId, `Clip ${clip.id} on track ${track.id} in project ${key} must reference its sidebar clip`);
+            assert(clip.type, `Clip ${clip.id} on track ${track.id} in project ${key} must have a type`);
+            assert(typeof clip.startTime === 'number' && clip.startTime >= 0, `Clip ${clip.id} on track ${track.id} in project ${key} must have a non-negative startTime`);
+            assert(typeof clip.duration === 'number' && clip.duration > 0, `Clip ${clip.id} on track ${track.id} in project ${key} must have a positive duration`);
+            validateEffects(clip.effects, `Clip ${clip.id} on track ${track.id} in project ${key}`);
+        });
+    });
+
+    project.sidebarClips.forEach((clip, index) => {
+        assert(clip.id, `Sidebar clip ${index} in project ${key} must have an id`);
+        assert(clip.name, `Sidebar clip ${clip.id} in project ${key} must have a name`);
+        assert(clip.type, `Sidebar clip ${clip.id} in project ${key} must have a type`);
+        // Unrecorded Vince clips have no duration until a take is chosen
+        assert(clip.needsRecording || typeof clip.duration === 'number', `Sidebar clip ${clip.id} in project ${key} must have a numeric duration`);
+        validateEffects(clip.effects, `Sidebar clip ${clip.id} in project ${key}`);
+        if (clip.type === 'visuals') {
+            assert(PROJECT_CONFIG.visuals.types.includes(clip.visualType), `Visual clip ${clip.id} in project ${key} must be an image or video`);
+            assert(/^#[0-9a-f]{6}$/i.test(clip.placeholder), `Visual clip ${clip.id} in project ${key} must have a #rrggbb placeholder color`);
+        }
+    });
+};
+
 // ===== UTILITY FUNCTIONS =====
 export const getProjectById = (id) => {
     return Object.values(PROJECT_DATA).find(project => project.id === id);
 };
 
+// Fresh, fully mutable working copy of a project template for one session
+export const createProjectInstance = (projectId) => {
+    const template = getProjectById(projectId);
+    assert(template, `Project not found: ${projectId}`);
+    return structuredClone(template);
+};
+
 export const getCategoryByType = (type) => {
     return CLIP_CATEGORIES.find(category => category.id === type);
 };
 
+export const getSectionType = (type) => {
+    return PROJECT_CONFIG.sections.types.find(section => section.id === type);
+};
+
 // ===== TIMELINE CALCULATION UTILITIES =====
 export const calculateTimelineLength = (project) => {
     assert(project, 'Project is required for timeline calculation');
@@ -777,24 +1174,30 @@ export const calculateTimelineLength = (project) => {
     // Calculate bars needed
     const barsNeeded = Math.ceil(maxClipEnd / beatsPerBar);
 
-    // Timeline is fixed at 2 bars
-    const totalBars = 2;
+    // Long enough for every clip, never shorter than the minimum, plus any
+    // bars the player added by hand
+    const totalBars = Math.max(barsNeeded, PROJECT_CONFIG.timeline.minBars) + project.extraBars;
 
     // Calculate total beats
     const totalBeats = totalBars * beatsPerBar;
 
-    // Calculate timeline height in pixels
-    const timelineHeight = totalBeats * PROJECT_CONFIG.layout.gridBeatWidth;
-
     return {
         bars: totalBars,
         beats: totalBeats,
-        height: timelineHeight,
         beatsPerBar,
         timeSignature: project.timeSignature
     };
 };
 
+// The saved loop region may reach past a timeline that shrank since. Returns the
+// part of it that can play, or null when none of it is left
+export const getPlayableLoopRegion = (project) => {
+    assert(project.loopRegion, `Project ${project.id} has no loop region`);
+    const timelineEnd = calculateTimelineLength(project).beats;
+    if (project.loopRegion.start >= timelineEnd) return null;
+    return { start: project.loopRegion.start, end: Math.min(project.loopRegion.end, timelineEnd) };
+};
+
 const parseTimeSignature = (timeSignature) => {
     assert(typeof timeSignature === 'string', 'Time signature must be a string');
     const match = timeSignature.match(/^(\d+)\/(\d+)$/);
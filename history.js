@@ -0,0 +1,85 @@
+/**
+ * Assembly Audio Editor - Edit History
+ * Undo/redo stack of named project states, one per committed edit
+ */
+
+import { assert } from './utils.js';
+
+// Every command stores the full project state it produced. Projects are small,
+// and restoring whole states keeps undo exact for every kind of edit without
+// each handler having to know how to revert itself.
+export class EditHistory {
+    constructor(maxEntries) {
+        assert(Number.isInteger(maxEntries) && maxEntries > 0, 'History needs a positive entry limit');
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.position = 0;
+    }
+
+    // The first entry is the state the project was opened in and can't be undone
+    reset(description, state) {
+        assert(description, 'Initial history description is required');
+        assert(state, 'Initial history state is required');
+        this.entries = [{ description, state: structuredClone(state) }];
+        this.position = 0;
+    }
+
+    record(description, state) {
+        assert(description, 'Command description is required');
+        assert(state, 'Command state is required');
+        assert(this.entries.length > 0, 'History must be reset before recording');
+
+        // A new edit after undoing discards the undone branch
+        this.entries.splice(this.position + 1);
+        this.entries.push({ description, state: structuredClone(state) });
+
+        // Drop the oldest commands; the oldest kept state becomes the new baseline
+        const overflow = this.entries.length - 1 - this.maxEntries;
+        if (overflow > 0) {
+            this.entries.splice(0, overflow);
+        }
+        this.position = this.entries.length - 1;
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length - 1;
+    }
+
+    getUndoDescription() {
+        return this.canUndo() ? this.entries[this.position].description : null;
+    }
+
+    getRedoDescription() {
+        return this.canRedo() ? this.entries[this.position + 1].description : null;
+    }
+
+    undo() {
+        assert(this.canUndo(), 'Nothing to undo');
+        return this.jumpTo(this.position - 1);
+    }
+
+    redo() {
+        assert(this.canRedo(), 'Nothing to redo');
+        return this.jumpTo(this.position + 1);
+    }
+
+    // Returns a copy so later edits never write into the stored state
+    jumpTo(index) {
+        assert(index >= 0 && index < this.entries.length, `History entry ${index} does not exist`);
+        this.position = index;
+        return structuredClone(this.entries[index].state);
+    }
+
+    getEntries() {
+        return this.entries.map((entry, index) => ({
+            index,
+            description: entry.description,
+            isCurrent: index === this.position,
+            isUndone: index > this.position
+        }));
+    }
+}
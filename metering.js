@@ -0,0 +1,119 @@
+/**
+ * Assembly Audio Editor - Metering
+ * Output levels computed from the clips under the playhead
+ */
+
+import { PROJECT_CONFIG, calculateTimelineLength } from './config.js';
+import { assert, beatsToSeconds, getClipEndTime, isTrackAudible } from './utils.js';
+import { getAutomatedValue } from './automation.js';
+import { getClipNotes, getClipPan, getEnvelopeLevel, hasVoice, reverbToWet, volumeToGain } from './audio-engine.js';
+
+// Levels are linear peak amplitudes per channel, where 1 is full scale. They
+// follow the same notes, envelopes, pans and track gains the audio engine
+// schedules, so the meter reads the arrangement rather than the sound card.
+
+// Equal-power pan law, the one a StereoPannerNode applies to a mono source
+function getPanGains(pan) {
+    const angle = (pan + 1) * Math.PI / 4;
+    return { left: Math.cos(angle), right: Math.sin(angle) };
+}
+
+function getClipAmplitude(clip, beat, beatsPerBar, bpm) {
+    return getClipNotes(clip, beatsPerBar).reduce((sum, note) => {
+        const shape = note.tone ?? note.noise;
+        const elapsed = beatsToSeconds(beat - clip.startTime - note.beat, bpm);
+        return sum + getEnvelopeLevel(shape, beatsToSeconds(note.length, bpm), elapsed);
+    }, 0);
+}
+
+// Post-fader level of one track, before the master gain; silent tracks read zero
+export function getTrackLevels(project, track, beat) {
+    assert(track, 'Track is required for metering');
+    const levels = { left: 0, right: 0 };
+    if (!isTrackAudible(project.tracks, track)) return levels;
+
+    const { beatsPerBar } = calculateTimelineLength(project);
+    track.clips
+        .filter(clip => hasVoice(clip.type) && beat >= clip.startTime && beat < getClipEndTime(clip))
+        .forEach(clip => {
+            const amplitude = getClipAmplitude(clip, beat, beatsPerBar, project.bpm);
+            const gains = getPanGains(getClipPan(clip.type));
+            levels.left += amplitude * gains.left;
+            levels.right += amplitude * gains.right;
+        });
+
+    const volume = track.effects.find(effect => effect.type === 'volume');
+    assert(volume, `Track ${track.id} has no volume`);
+    const reverb = track.effects.find(effect => effect.type === 'reverb');
+    const wet = reverb ? reverbToWet(getAutomatedValue(reverb, beat)) * PROJECT_CONFIG.metering.reverbShare : 0;
+    const gain = volumeToGain(getAutomatedValue(volume, beat)) * (1 + wet);
+
+    return { left: levels.left * gain, right: levels.right * gain };
+}
+
+// Master output level, with each track's share keyed by track id
+export function getMasterLevels(project, beat) {
+    assert(project, 'Project is required for metering');
+    const { masterGain } = PROJECT_CONFIG.audio;
+    const master = { left: 0, right: 0, tracks: {} };
+
+    project.tracks.forEach(track => {
+        const levels = getTrackLevels(project, track, beat);
+        master.tracks[track.id] = levels;
+        master.left += levels.left * masterGain;
+        master.right += levels.right * masterGain;
+    });
+
+    return master;
+}
+
+export function amplitudeToDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+// Meter height in percent: the floor is empty and 0 dBFS is full
+export function dbToMeterPercent(db) {
+    const { floorDb } = PROJECT_CONFIG.metering;
+    return Math.max(0, Math.min(100, (1 - db / floorDb) * 100));
+}
+
+// ===== METER BALLISTICS =====
+
+// One meter bar: it jumps up to a new level but falls back at a fixed rate, and
+// its peak marker holds the highest level for a while before following the bar
+export class MeterChannel {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.db = -Infinity;
+        this.peakDb = -Infinity;
+        this.peakTime = 0;
+        this.lastUpdate = 0;
+    }
+
+    update(amplitude, now) {
+        const { fallDbPerSecond, peakHoldMs } = PROJECT_CONFIG.metering;
+        const elapsedSeconds = this.lastUpdate ? (now - this.lastUpdate) / 1000 : 0;
+        this.db = Math.max(amplitudeToDb(amplitude), this.db - fallDbPerSecond * elapsedSeconds);
+        this.lastUpdate = now;
+
+        if (this.db >= this.peakDb || now - this.peakTime > peakHoldMs) {
+            this.peakDb = this.db;
+            this.peakTime = now;
+        }
+    }
+
+    getLevelPercent() {
+        return dbToMeterPercent(this.db);
+    }
+
+    getPeakPercent() {
+        return dbToMeterPercent(this.peakDb);
+    }
+
+    hasPeak() {
+        return this.peakDb > -Infinity;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Assembly Audio Editor - Mixdown
+ * Offline render of the whole arrangement and PCM WAV encoding
+ */
+
+import { PROJECT_CONFIG, calculateTimelineLength } from './config.js';
+import { assert, beatsToSeconds } from './utils.js';
+import { createMasterBus, scheduleArrangement } from './audio-engine.js';
+
+function createOfflineContext(channels, length, sampleRate) {
+    assert(typeof OfflineAudioContext === 'function', 'Offline rendering is not available in this browser');
+    return new OfflineAudioContext(channels, length, sampleRate);
+}
+
+// Renders beat 0 to the end of the timeline through the same scheduling as live
+// playback, plus room for the reverb tail
+export async function renderMixdown(project) {
+    assert(project, 'Project is required for a mixdown');
+
+    const { mixdownSampleRate, reverbSeconds } = PROJECT_CONFIG.audio;
+    const { beats } = calculateTimelineLength(project);
+    const seconds = beatsToSeconds(beats, project.bpm) + reverbSeconds;
+    const context = createOfflineContext(2, Math.ceil(seconds * mixdownSampleRate), mixdownSampleRate);
+
+    const master = createMasterBus(context, context.destination);
+    scheduleArrangement(context, master, project, { fromBeat: 0, untilBeat: beats, startAt: 0 });
+    return context.startRendering();
+}
+
+// ===== WAV ENCODING =====
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+// Interleaved little-endian PCM in a canonical 44-byte RIFF header
+export function encodeWav(audioBuffer, bitDepth) {
+    assert(PROJECT_CONFIG.audio.mixdownBitDepths.includes(bitDepth), `Unsupported WAV bit depth: ${bitDepth}`);
+
+    const { numberOfChannels, length, sampleRate } = audioBuffer;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+    const fullScale = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        channels.forEach(samples => {
+            // Anything louder than full scale clips rather than wrapping around
+            const sample = Math.round(Math.max(-1, Math.min(1, samples[i])) * fullScale);
+            if (bitDepth === 16) {
+                view.setInt16(offset, sample, true);
+            } else {
+                view.setUint8(offset, sample & 0xff);
+                view.setUint8(offset + 1, (sample >> 8) & 0xff);
+                view.setUint8(offset + 2, (sample >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        });
+    }
+
+    return view.buffer;
+}
@@ -0,0 +1,53 @@
+/**
+ * Assembly Audio Editor - Placement Rules
+ * Evaluates the declarative clip placement data of a project and explains rejections
+ */
+
+import { getCategoryByType } from './config.js';
+import { assert } from './utils.js';
+
+// Track accepts entry matching every clip type
+export const ANY_CLIP_TYPE = '*';
+
+function getClipTypeLabel(clipType) {
+    const category = getCategoryByType(clipType);
+    assert(category, `No clip category defined for type: ${clipType}`);
+    return category.name;
+}
+
+function trackAcceptsType(track, clipType) {
+    return track.accepts.includes(ANY_CLIP_TYPE) || track.accepts.includes(clipType);
+}
+
+function ruleMatchesType(rule, clipType) {
+    return rule.clipType === ANY_CLIP_TYPE || rule.clipType === clipType;
+}
+
+// Returns { allowed, reason }; reason is a player-facing sentence when rejected
+export function evaluatePlacement(project, clipType, track) {
+    assert(project, 'Project is required for placement');
+    assert(clipType, 'Clip type is required for placement');
+    assert(track, 'Track is required for placement');
+
+    const clipLabel = getClipTypeLabel(clipType);
+
+    if (!trackAcceptsType(track, clipType)) {
+        const accepted = track.accepts.map(getClipTypeLabel).join(', ');
+        return {
+            allowed: false,
+            reason: `${track.name} only takes ${accepted} clips, not ${clipLabel}`
+        };
+    }
+
+    const failedRule = project.placementRules.find(rule =>
+        ruleMatchesType(rule, clipType) && !track.tags.includes(rule.requiresTrackTag)
+    );
+    if (failedRule) {
+        return {
+            allowed: false,
+            reason: `${clipLabel} clips only fit ${failedRule.requiresTrackTag} tracks, and ${track.name} isn't one`
+        };
+    }
+
+    return { allowed: true, reason: null };
+}
@@ -0,0 +1,85 @@
+/**
+ * Assembly Audio Editor - Project Files
+ * Versioned .ass serialization of the working project and validation on load
+ */
+
+import { PROJECT_CONFIG, getProjectById, validateProject } from './config.js';
+import { assert } from './utils.js';
+import { ANY_CLIP_TYPE } from './placement-rules.js';
+
+export const PROJECT_FILE_FORMAT = 'assembly-project';
+// Bump whenever the saved project shape changes; older files are rejected
+// instead of being migrated
+export const PROJECT_FILE_VERSION = 13;
+
+export function getProjectFileName(project) {
+    assert(project, 'Project is required for a file name');
+    assert(project.id, 'Project id is required for a file name');
+    return `${project.id}${PROJECT_CONFIG.content.fileExtensions.project}`;
+}
+
+export function serializeProject(project) {
+    assert(project, 'Project is required for serialization');
+    validateProject(project, project.id);
+
+    // The whole working project is saved, so recorded Vince takes in
+    // sidebarClips and per-clip effect values round-trip with the arrangement
+    const file = {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        project
+    };
+
+    return JSON.stringify(file, null, 2);
+}
+
+// A hand-edited file must not loosen the puzzle, so its placement rules are
+// replaced by the template's. Tracks the player added get the same open rules
+// the editor gives a new track.
+function applyTemplateRules(project, template) {
+    project.placementRules = structuredClone(template.placementRules);
+    project.clipsPerTrack = template.clipsPerTrack;
+    project.maxClipUses = template.maxClipUses;
+    project.maxActiveTracks = template.maxActiveTracks;
+    project.allowTrackManagement = template.allowTrackManagement;
+
+    project.tracks.forEach(track => {
+        const templateTrack = template.tracks.find(candidate => candidate.id === track.id);
+        if (templateTrack) {
+            track.accepts = [...templateTrack.accepts];
+            track.tags = [...templateTrack.tags];
+            return;
+        }
+        assert(template.allowTrackManagement, `Project file adds track ${track.id}, but ${template.name} has a fixed set of tracks`);
+        track.accepts = [ANY_CLIP_TYPE];
+        track.tags = [];
+    });
+}
+
+export function parseProjectFile(text) {
+    assert(typeof text === 'string', 'Project file contents must be a string');
+
+    let file = null;
+    try {
+        file = JSON.parse(text);
+    } catch (err) {
+        console.error('Project file is not valid JSON:', err.message);
+    }
+
+    assert(file && typeof file === 'object', 'Project file is not a valid JSON object');
+    assert(file.format === PROJECT_FILE_FORMAT, `Not an Assembly project file (format: ${file.format})`);
+    assert(file.version === PROJECT_FILE_VERSION, `Unsupported project file version ${file.version}, expected ${PROJECT_FILE_VERSION}`);
+
+    const { project } = file;
+    assert(project && typeof project === 'object', 'Project file has no project data');
+    // Files can only be opened into one of the built-in puzzles, which
+    // supply the rules the arrangement is played against
+    const template = getProjectById(project.id);
+    assert(template, `Project file references unknown project: ${project.id}`);
+    validateProject(project, project.id);
+    applyTemplateRules(project, template);
+
+    console.log(`Parsed project file for '${project.id}' saved at ${file.savedAt}`);
+    return project;
+}
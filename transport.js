@@ -0,0 +1,80 @@
+/**
+ * Assembly Audio Editor - Transport Clock
+ * Single source of playback position in beats, driven by performance.now()
+ */
+
+import { assert, beatsToSeconds, secondsToBeats } from './utils.js';
+
+// The position is always derived from the wall-clock time elapsed since the
+// last anchor (start, seek or tempo change) rather than accumulated per frame,
+// so dropped or late animation frames never make it drift.
+export class TransportClock {
+    constructor(onTick) {
+        assert(typeof onTick === 'function', 'Transport clock needs a tick callback');
+        this.onTick = onTick;
+        this.bpm = null;
+        this.anchorBeat = 0;
+        this.anchorTime = 0;
+        this.running = false;
+        this.frameId = null;
+    }
+
+    setTempo(bpm) {
+        assert(typeof bpm === 'number' && bpm > 0, `Invalid tempo: ${bpm}`);
+        // Re-anchor first so the beats already played keep the old tempo
+        this.anchor(this.getBeat());
+        this.bpm = bpm;
+    }
+
+    getBeat() {
+        if (!this.running) return this.anchorBeat;
+        const elapsedSeconds = (performance.now() - this.anchorTime) / 1000;
+        return this.anchorBeat + secondsToBeats(elapsedSeconds, this.bpm);
+    }
+
+    getSeconds() {
+        assert(this.bpm, 'Transport tempo is not set');
+        return beatsToSeconds(this.getBeat(), this.bpm);
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    start() {
+        assert(this.bpm, 'Transport tempo must be set before starting');
+        if (this.running) return;
+
+        this.anchor(this.anchorBeat);
+        this.running = true;
+        this.frameId = requestAnimationFrame(this.tick);
+    }
+
+    pause() {
+        if (!this.running) return;
+
+        this.anchor(this.getBeat());
+        this.running = false;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    seek(beat) {
+        assert(typeof beat === 'number' && beat >= 0, `Invalid seek position: ${beat}`);
+        this.anchor(beat);
+    }
+
+    anchor(beat) {
+        this.anchorBeat = beat;
+        this.anchorTime = performance.now();
+    }
+
+    tick = () => {
+        if (!this.running) return;
+        this.onTick(this.getBeat());
+        // onTick may have paused the clock (end of timeline)
+        if (this.running) {
+            this.frameId = requestAnimationFrame(this.tick);
+        }
+    }
+}
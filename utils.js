@@ -29,6 +29,16 @@ export function findClipIndexById(clips, clipId) {
     return clips.findIndex(c => c.id === clipId);
 }
 
+// Freezes nested objects and arrays too, so accidental writes into shared
+// definitions throw (ES modules run in strict mode) instead of leaking state
+export function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
 export function getClipEndTime(clip) {
     assert(clip, 'Clip is required');
     assert(typeof clip.startTime === 'number', 'Clip startTime must be a number');
@@ -36,6 +46,24 @@ export function getClipEndTime(clip) {
     return clip.startTime + clip.duration;
 }
 
+// Soloing any track silences every track that isn't soloed; mute always wins
+export function isTrackAudible(tracks, track) {
+    assert(Array.isArray(tracks), 'Tracks array is required');
+    assert(track, 'Track is required');
+    if (track.muted) return false;
+    const anySoloed = tracks.some(t => t.soloed);
+    return !anySoloed || track.soloed;
+}
+
+// First clip sharing any time with [startTime, startTime + duration), or null
+export function findOverlappingClip(clips, startTime, duration, excludeClipId = null) {
+    assert(Array.isArray(clips), 'Clips must be an array');
+    const endTime = startTime + duration;
+    return clips.find(clip =>
+        clip.id !== excludeClipId && startTime < getClipEndTime(clip) && endTime > clip.startTime
+    ) ?? null;
+}
+
 // ===== CONSOLE OVERRIDE UTILITIES =====
 export function createConsoleOverride(originalMethods, bufferCallback) {
     return {
@@ -108,6 +136,18 @@ export function formatDuration(duration) {
     return `${roundedDuration}${suffix}`;
 }
 
+// ===== TEMPO CONVERSION =====
+export function beatsToSeconds(beats, bpm) {
+    assert(typeof bpm === 'number' && bpm > 0, `Invalid tempo: ${bpm}`);
+    return (beats * 60) / bpm;
+}
+
+export function secondsToBeats(seconds, bpm) {
+    assert(typeof bpm === 'number' && bpm > 0, `Invalid tempo: ${bpm}`);
+    return (seconds * bpm) / 60;
+}
+
+// Both values are in seconds - convert beat positions with beatsToSeconds first
 export function formatTimeDisplay(currentTime = 0, totalDuration = 16) {
     const currentMinutes = Math.floor(currentTime / 60);
     const currentSeconds = Math.floor(currentTime % 60);
@@ -123,6 +163,26 @@ export function formatTimeDisplay(currentTime = 0, totalDuration = 16) {
     return `${currentFormatted} / ${totalFormatted}`;
 }
 
+// ===== SEEDED RANDOMNESS =====
+// Same seed text, same sequence: procedural sounds and visuals stay stable per clip.
+// FNV-1a hashes the seed into the state of a mulberry32 generator.
+export function createSeededRandom(seedText) {
+    assert(typeof seedText === 'string' && seedText.length > 0, 'Random seed must be a non-empty string');
+
+    let state = 0x811c9dc5;
+    for (let i = 0; i < seedText.length; i++) {
+        state ^= seedText.charCodeAt(i);
+        state = Math.imul(state, 0x01000193);
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // ===== EVENT UTILITIES =====
 export function createCustomEvent(eventName, detail) {
     return new CustomEvent(eventName, { detail });
@@ -0,0 +1,175 @@
+/**
+ * Assembly Audio Editor - Visual Renderer
+ * Procedural stand-ins for image and video clips, drawn frame by frame on a canvas
+ */
+
+import { PROJECT_CONFIG } from './config.js';
+import { assert, beatsToSeconds, createSeededRandom } from './utils.js';
+
+// Every frame is a pure function of the clip and the time into it, so the same
+// moment of a clip always looks the same, whether it is previewed on its own,
+// scrubbed on the timeline or played back. Composition comes from the source
+// clip's seed and the palette from its placeholder color.
+
+const sceneCache = new Map();
+
+// ===== COLOR =====
+
+function parseHexColor(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    assert(match, `Visual placeholder must be a #rrggbb color: ${hex}`);
+    return match.slice(1).map(part => parseInt(part, 16));
+}
+
+// Positive amounts mix towards white, negative towards black
+function shade(rgb, amount, alpha = 1) {
+    const target = amount > 0 ? 255 : 0;
+    const [r, g, b] = rgb.map(channel => Math.round(channel + (target - channel) * Math.abs(amount)));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// ===== SCENES =====
+
+function createImageScene(random) {
+    return {
+        sun: { x: 0.15 + random() * 0.7, y: 0.15 + random() * 0.3, radius: 0.08 + random() * 0.08 },
+        hills: Array.from({ length: 3 }, (_, layer) => ({
+            base: 0.55 + layer * 0.14 + random() * 0.05,
+            waves: Array.from({ length: 3 }, () => ({
+                amplitude: 0.02 + random() * 0.05,
+                frequency: 1 + random() * 4,
+                phase: random() * Math.PI * 2
+            }))
+        })),
+        // Slow push in or pull out, drifting from one corner towards another
+        zoomFrom: 1.05 + random() * 0.1,
+        zoomTo: 1.2 + random() * 0.15,
+        zoomIn: random() < 0.5,
+        panFrom: { x: random() - 0.5, y: random() - 0.5 },
+        panTo: { x: random() - 0.5, y: random() - 0.5 }
+    };
+}
+
+function createVideoScene(random) {
+    return {
+        blobs: Array.from({ length: 7 }, () => ({
+            x: random(),
+            y: random(),
+            radius: 0.15 + random() * 0.25,
+            speedX: 0.1 + random() * 0.4,
+            speedY: 0.1 + random() * 0.4,
+            phase: random() * Math.PI * 2,
+            tint: random() * 1.2 - 0.6
+        })),
+        sweepSpeed: 0.08 + random() * 0.12,
+        sweepAngle: random() * Math.PI
+    };
+}
+
+function getScene(clip) {
+    const seed = clip.sourceClipId ?? clip.id;
+    const key = `${seed}|${clip.visualType}`;
+    if (!sceneCache.has(key)) {
+        const random = createSeededRandom(`${seed}-visual`);
+        sceneCache.set(key, clip.visualType === 'image' ? createImageScene(random) : createVideoScene(random));
+    }
+    return sceneCache.get(key);
+}
+
+function drawImage(context, scene, rgb, progress, width, height) {
+    // Ken Burns: the still picture is only ever scaled up, so no edge shows
+    const zoomProgress = scene.zoomIn ? progress : 1 - progress;
+    const zoom = scene.zoomFrom + (scene.zoomTo - scene.zoomFrom) * zoomProgress;
+    const slack = (zoom - 1) / 2;
+    const panX = (scene.panFrom.x + (scene.panTo.x - scene.panFrom.x) * progress) * slack * width;
+    const panY = (scene.panFrom.y + (scene.panTo.y - scene.panFrom.y) * progress) * slack * height;
+
+    context.save();
+    context.translate(width / 2 + panX, height / 2 + panY);
+    context.scale(zoom, zoom);
+    context.translate(-width / 2, -height / 2);
+
+    const sky = context.createLinearGradient(0, 0, 0, height);
+    sky.addColorStop(0, shade(rgb, 0.45));
+    sky.addColorStop(1, shade(rgb, -0.2));
+    context.fillStyle = sky;
+    context.fillRect(0, 0, width, height);
+
+    const { sun } = scene;
+    context.fillStyle = shade(rgb, 0.8, 0.9);
+    context.beginPath();
+    context.arc(sun.x * width, sun.y * height, sun.radius * Math.min(width, height), 0, Math.PI * 2);
+    context.fill();
+
+    scene.hills.forEach((hill, layer) => {
+        context.fillStyle = shade(rgb, -0.3 - layer * 0.2);
+        context.beginPath();
+        context.moveTo(0, height);
+        for (let x = 0; x <= width; x += width / 48) {
+            const offset = hill.waves.reduce((sum, wave) =>
+                sum + wave.amplitude * Math.sin(wave.frequency * Math.PI * 2 * (x / width) + wave.phase), 0);
+            context.lineTo(x, (hill.base + offset) * height);
+        }
+        context.lineTo(width, height);
+        context.closePath();
+        context.fill();
+    });
+
+    context.restore();
+}
+
+function drawVideo(context, scene, rgb, seconds, width, height) {
+    context.fillStyle = shade(rgb, -0.6);
+    context.fillRect(0, 0, width, height);
+
+    // Soft blobs of the clip's color drifting on Lissajous paths
+    scene.blobs.forEach(blob => {
+        const x = (blob.x + 0.3 * Math.sin(seconds * blob.speedX + blob.phase)) * width;
+        const y = (blob.y + 0.3 * Math.cos(seconds * blob.speedY + blob.phase * 1.7)) * height;
+        const radius = blob.radius * Math.max(width, height) * (0.9 + 0.1 * Math.sin(seconds * 2 + blob.phase));
+        const glow = context.createRadialGradient(x, y, 0, x, y, radius);
+        glow.addColorStop(0, shade(rgb, blob.tint, 0.8));
+        glow.addColorStop(1, shade(rgb, blob.tint, 0));
+        context.fillStyle = glow;
+        context.fillRect(0, 0, width, height);
+    });
+
+    // A band of light sweeping across every few seconds
+    const sweep = ((seconds * scene.sweepSpeed) % 1) * 2 - 0.5;
+    const dx = Math.cos(scene.sweepAngle) * width;
+    const dy = Math.sin(scene.sweepAngle) * height;
+    const light = context.createLinearGradient(0, 0, dx, dy);
+    [sweep - 0.15, sweep, sweep + 0.15].forEach((stop, index) => {
+        light.addColorStop(Math.max(0, Math.min(1, stop)), `rgba(255, 255, 255, ${index === 1 ? 0.18 : 0})`);
+    });
+    context.fillStyle = light;
+    context.fillRect(0, 0, width, height);
+}
+
+// ===== PUBLIC API =====
+
+// Draws the frame `seconds` into the clip over the whole canvas
+export function drawVisualFrame(context, clip, seconds, bpm) {
+    assert(context, 'Canvas context is required to draw a visual');
+    assert(PROJECT_CONFIG.visuals.types.includes(clip.visualType), `Unknown visual type for clip ${clip.id}: ${clip.visualType}`);
+
+    const { width, height } = context.canvas;
+    const rgb = parseHexColor(clip.placeholder);
+    const scene = getScene(clip);
+    if (clip.visualType === 'image') {
+        const progress = Math.max(0, Math.min(1, seconds / beatsToSeconds(clip.duration, bpm)));
+        drawImage(context, scene, rgb, progress, width, height);
+    } else {
+        drawVideo(context, scene, rgb, seconds, width, height);
+    }
+}
+
+// Sets a canvas to the configured resolution for visuals, scaled by CSS to fit
+export function prepareVisualCanvas(canvas) {
+    const { canvasWidth, canvasHeight } = PROJECT_CONFIG.visuals;
+    canvas.width = canvasWidth;
+    canvas.height = canvasHeight;
+    const context = canvas.getContext('2d');
+    assert(context, 'Canvas 2D drawing is not available in this browser');
+    return context;
+}
@@ -0,0 +1,95 @@
+/**
+ * Assembly Audio Editor - Waveform
+ * Stable peak data for drawing audio clips in the preview, sidebar and timeline
+ */
+
+import { PROJECT_CONFIG, calculateTimelineLength, getCategoryByType } from './config.js';
+import { assert, beatsToSeconds, createSeededRandom } from './utils.js';
+import { getClipNotes, getEnvelopeLevel, hasVoice } from './audio-engine.js';
+
+// Peaks are 0-1 per step of 1/pointsPerBeat beats. Synthesized clips take them
+// from the same notes and envelopes the audio engine plays; recorded types get a
+// pseudo-waveform from the clip's seed. Both only depend on the source clip, so
+// every placement of a clip draws the same shape as the sidebar clip.
+const SUBSAMPLES_PER_POINT = 4;
+const cache = new Map();
+
+export function hasWaveform(clipType) {
+    return !PROJECT_CONFIG.waveform.nonAudioTypes.includes(clipType);
+}
+
+export function getWaveformColor(clipType) {
+    const category = getCategoryByType(clipType);
+    assert(category, `No clip category for type: ${clipType}`);
+    return category.color;
+}
+
+export function getClipWaveform(clip, project) {
+    assert(hasWaveform(clip.type), `Clip type ${clip.type} has no waveform`);
+    assert(clip.duration > 0, `Clip ${clip.id} needs a duration for its waveform`);
+
+    const { beatsPerBar } = calculateTimelineLength(project);
+    const seed = clip.sourceClipId ?? clip.id;
+    const key = `${seed}|${clip.type}|${clip.duration}|${project.bpm}|${beatsPerBar}`;
+    if (!cache.has(key)) {
+        const pointCount = Math.ceil(clip.duration * PROJECT_CONFIG.waveform.pointsPerBeat);
+        const peaks = hasVoice(clip.type)
+            ? getSynthesizedPeaks(clip, pointCount, project.bpm, beatsPerBar)
+            : getSeededPeaks(seed, pointCount);
+        cache.set(key, normalizePeaks(peaks));
+    }
+    return cache.get(key);
+}
+
+function getSynthesizedPeaks(clip, pointCount, bpm, beatsPerBar) {
+    const notes = getClipNotes(clip, beatsPerBar);
+    const step = 1 / PROJECT_CONFIG.waveform.pointsPerBeat;
+
+    return Array.from({ length: pointCount }, (_, point) => {
+        let peak = 0;
+        for (let sub = 0; sub < SUBSAMPLES_PER_POINT; sub++) {
+            const beat = (point + sub / SUBSAMPLES_PER_POINT) * step;
+            const level = notes.reduce((sum, note) => {
+                const shape = note.tone ?? note.noise;
+                return sum + getEnvelopeLevel(shape, beatsToSeconds(note.length, bpm), beatsToSeconds(beat - note.beat, bpm));
+            }, 0);
+            peak = Math.max(peak, level);
+        }
+        return peak;
+    });
+}
+
+// A smoothed random walk reads as phrasing rather than noise
+function getSeededPeaks(seed, pointCount) {
+    const random = createSeededRandom(`${seed}-waveform`);
+    let level = 0.5 + random() * 0.3;
+    return Array.from({ length: pointCount }, () => {
+        level = Math.max(0.15, Math.min(1, level + (random() - 0.5) * 0.35));
+        return level * (0.75 + random() * 0.25);
+    });
+}
+
+function normalizePeaks(peaks) {
+    const loudest = Math.max(...peaks);
+    return loudest > 0 ? peaks.map(peak => peak / loudest) : peaks;
+}
+
+// Loudest peak in each of `count` equal slices, for drawing a fixed number of bars
+export function resamplePeaks(peaks, count) {
+    assert(count > 0, `Invalid bar count: ${count}`);
+    return Array.from({ length: count }, (_, index) => {
+        const start = Math.floor(index * peaks.length / count);
+        const end = Math.max(start + 1, Math.floor((index + 1) * peaks.length / count));
+        return Math.max(...peaks.slice(start, end));
+    });
+}
+
+// Mirrored outline for an SVG whose viewBox is 100 wide and one unit per peak,
+// with time running down the clip like the timeline
+export function getVerticalWaveformPoints(peaks) {
+    const { minBarHeight } = PROJECT_CONFIG.waveform;
+    const halfWidths = peaks.map(peak => 50 * Math.max(minBarHeight, peak));
+    const right = halfWidths.map((half, index) => `${50 + half},${index + 0.5}`);
+    const left = halfWidths.map((half, index) => `${50 - half},${index + 0.5}`).reverse();
+    return [`50,0`, ...right, `50,${peaks.length}`, ...left].join(' ');
+}